@@ -0,0 +1,37 @@
+// Zuletzt geänderte Dateien aus der Client-Ausgabe (hochgeladen, heruntergeladen, gelöscht, umbenannt).
+// Einträge: { id, at, profileId, action, path, from?, remote? }; path ist relativ zum Sync-Ordner.
+
+const ACTIONS = {
+  'upload-finished': 'upload',
+  'download-finished': 'download',
+  delete: 'delete',
+  rename: 'rename'
+}
+
+export function createActivityFeed({ limit = 200 } = {}) {
+  let entries = [] // Neueste zuerst
+  let seq = 0
+
+  return {
+    // Sync-Ereignis übernehmen → Eintrag oder null (andere Ereignisse)
+    add(profileId, event, at = Date.now()) {
+      const action = ACTIONS[event?.type]
+      if (!action || !event.path) return null
+      const entry = { id: `${at.toString(36)}-${(seq++).toString(36)}`, at, profileId, action, path: event.path }
+      if (event.from) entry.from = event.from
+      if (action === 'delete') entry.remote = !!event.remote
+      // Gleiche Datei mehrfach hintereinander (z. B. erneuter Upload) nur einmal zeigen
+      entries = [entry, ...entries.filter((e) => !(e.profileId === profileId && e.path === entry.path))].slice(0, limit)
+      return entry
+    },
+    get(id) {
+      return entries.find((e) => e.id === id) || null
+    },
+    list({ profileId, limit: max = limit } = {}) {
+      return entries.filter((e) => !profileId || e.profileId === profileId).slice(0, max)
+    },
+    clear(profileId) {
+      entries = entries.filter((e) => e.profileId !== profileId)
+    }
+  }
+}
@@ -0,0 +1,61 @@
+import fs from 'fs/promises' // Promise-based FS API
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import { LOCALES, catalog } from './i18n.js'
+
+// Start bei der Anmeldung über einen XDG-Autostart-Eintrag (~/.config/autostart/*.desktop).
+// Die App startet dann mit --hidden nur im Tray.
+
+export const HIDDEN_FLAG = '--hidden'
+
+export function autostartFile() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config')
+  return path.join(configHome, 'autostart', 'life-onedrive-sync.desktop')
+}
+
+// Argumente für Exec= quoten (Desktop Entry Specification)
+function quoteExecArg(value) {
+  if (/^[\w@%+=:,./-]+$/.test(value)) return value.replace(/%/g, '%%')
+  return `"${value.replace(/(["`$\\])/g, '\\$1').replace(/%/g, '%%')}"`
+}
+
+// Comment= auf Englisch, dazu Comment[<Sprache>]= für jede Übersetzung; die Desktop-Umgebung wählt selbst
+function commentLines() {
+  const lines = [`Comment=${catalog('en')['autostart.comment']}`]
+  for (const locale of Object.keys(LOCALES).filter((l) => l !== 'en')) {
+    lines.push(`Comment[${locale}]=${catalog(locale)['autostart.comment']}`)
+  }
+  return lines.join('\n')
+}
+
+export function buildDesktopEntry({ command, icon }) {
+  return `[Desktop Entry]
+Type=Application
+Name=LiFE OneDrive Sync
+${commentLines()}
+Exec=${[...command, HIDDEN_FLAG].map(quoteExecArg).join(' ')}
+${icon ? `Icon=${icon}\n` : ''}Terminal=false
+X-GNOME-Autostart-enabled=true
+`
+}
+
+export async function isAutostartEnabled() {
+  try {
+    const text = await fs.readFile(autostartFile(), 'utf8')
+    return !/^(?:Hidden\s*=\s*true|X-GNOME-Autostart-enabled\s*=\s*false)\s*$/mi.test(text)
+  } catch {
+    return false
+  }
+}
+
+// Eintrag anlegen oder entfernen. command: Programm und Argumente, mit denen die App gestartet wird
+export async function setAutostart(enabled, { command, icon } = {}) {
+  const file = autostartFile()
+  if (!enabled) {
+    await fs.rm(file, { force: true })
+    return false
+  }
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, buildDesktopEntry({ command, icon }), 'utf8')
+  return true
+}
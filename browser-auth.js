@@ -0,0 +1,114 @@
+import http from 'http' // Loopback HTTP listener
+import { t, getLocale } from './i18n.js'
+
+// Anmeldung im Standardbrowser: Vor dem Start des Clients lauscht ein kurzlebiger HTTP-Listener auf 127.0.0.1
+// (RFC 8252, "loopback redirect"), seine Adresse steht als redirect_uri in der Client-Config. Der Client baut damit
+// die Authorize-URL und löst den Code mit derselben redirect_uri ein. Die empfangene Redirect-URL wird wie beim
+// eingebetteten Fenster als response.url an den Client weitergegeben.
+// Zeigt die Authorize-URL nicht auf den Listener (z. B. nach dem Wechsel vom Fenster in den Browser),
+// fügt der Benutzer die Adresse der Seite nach der Anmeldung in der App ein.
+
+export const REDIRECT_URI_KEY = 'redirect_uri' // Option der Client-Config
+
+const RESULT_PAGE = (title, text) => `<!doctype html>
+<html lang="${getLocale()}"><head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family: sans-serif; text-align: center; margin-top: 15vh;">
+<h2>${title}</h2><p>${text}</p></body></html>`
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c])
+}
+
+// Listener → { listen() → redirect_uri, wait() → Promise<Redirect-URL>, close() }
+// Nimmt genau eine Weiterleitung an (code bzw. error, passender state) und schließt sich danach,
+// ebenso nach timeoutMs oder mit close().
+export function createLoopbackListener({ timeoutMs = 5 * 60 * 1000 } = {}) {
+  let settle = null
+  const result = new Promise((resolve, reject) => { settle = { resolve, reject } })
+  result.catch(() => {}) // Abbruch ohne wartenden Aufrufer nicht als unbehandelt melden
+  let redirectUri = null
+  let expectedState = null
+  let timer = null
+  let done = false
+
+  const server = http.createServer((req, res) => {
+    const redirectUrl = `${redirectUri}${req.url}`
+    const params = new URL(redirectUrl).searchParams
+    // Nur die Weiterleitung selbst auswerten (kein favicon o. Ä.), state schützt vor fremden Aufrufen
+    if (done || req.method !== 'GET' || (!params.has('code') && !params.has('error')) || (expectedState && params.get('state') !== expectedState)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' })
+      res.end(t('auth.loopback.notFound'))
+      return
+    }
+    const error = params.get('error')
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', Connection: 'close' })
+    res.end(error
+      ? RESULT_PAGE(t('auth.loopback.failed'), escapeHtml(params.get('error_description') || error))
+      : RESULT_PAGE(t('auth.loopback.done'), t('auth.loopback.doneText')))
+    finish(null, redirectUrl)
+  })
+
+  const finish = (error, redirectUrl) => {
+    if (done) return
+    done = true
+    clearTimeout(timer)
+    server.close()
+    server.closeIdleConnections?.()
+    if (error) settle.reject(error)
+    else settle.resolve(redirectUrl)
+  }
+
+  return {
+    // Auf einem freien Port nur auf der Loopback-Schnittstelle lauschen; der Timeout läuft ab jetzt
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(0, '127.0.0.1', () => {
+          redirectUri = `http://localhost:${server.address().port}`
+          timer = setTimeout(() => finish(new Error(t('auth.loopback.timeout'))), timeoutMs)
+          resolve(redirectUri)
+        })
+      })
+    },
+    get redirectUri() { return redirectUri },
+    // state der Authorize-URL, sobald der Client sie geschrieben hat
+    expectState(state) {
+      expectedState = state || null
+    },
+    wait() {
+      return result
+    },
+    close() {
+      finish(new Error(t('auth.loopback.canceled')))
+    }
+  }
+}
+
+// redirect_uri und state der Authorize-URL (→ null, wenn die URL keine redirect_uri enthält)
+export function authRedirectTarget(authUrl) {
+  try {
+    const params = new URL(authUrl).searchParams
+    const redirectUri = params.get('redirect_uri')
+    return redirectUri ? { redirectUri, state: params.get('state') } : null
+  } catch {
+    return null
+  }
+}
+
+// Eingefügte Adresse prüfen → { ok: true, url } oder { ok: false, key } (Schlüssel aus locales/*.json)
+// Sie muss auf die redirect_uri des Clients zeigen und code bzw. error enthalten; state schützt vor alten oder fremden Adressen.
+export function parseBrowserResponse(input, { redirectUri, state = null }) {
+  const text = String(input || '').trim()
+  let url
+  try {
+    url = new URL(text)
+  } catch {
+    return { ok: false, key: 'auth.response.invalid' }
+  }
+  const expected = new URL(redirectUri)
+  if (url.origin !== expected.origin || url.pathname !== expected.pathname) return { ok: false, key: 'auth.response.wrongPage' }
+  const params = url.searchParams
+  if (!params.has('code') && !params.has('error')) return { ok: false, key: 'auth.response.noCode' }
+  if (state && params.get('state') !== state) return { ok: false, key: 'auth.response.stateMismatch' }
+  return { ok: true, url: text }
+}
@@ -0,0 +1,95 @@
+import { sendControlCommand } from './control-socket.js'
+import { formatLogEntry } from './sync-log.js'
+import { t, getLocale } from './i18n.js'
+
+// Kommandozeilenmodus: `life-onedrive-sync --status` usw. spricht über den Steuer-Socket mit der laufenden App.
+
+const FLAGS = {
+  '--status': 'status',
+  '--sync-now': 'sync-now',
+  '--pause': 'pause',
+  '--resume': 'resume',
+  '--reauth': 'reauth',
+  '--tail-log': 'tail-log',
+  '--help': 'help'
+}
+
+export function cliUsage() {
+  return t('cli.usage')
+}
+
+// Befehl aus den Argumenten lesen → null, wenn kein CLI-Befehl angegeben ist (normaler App-Start)
+export function parseCliArgs(argv) {
+  let command = null
+  const args = {}
+  let json = false
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, value] = String(argv[i]).split(/=(.*)/s)
+    if (FLAGS[flag]) {
+      command = FLAGS[flag]
+      if (flag === '--tail-log' && value) args.lines = Number(value)
+    } else if (flag === '--profile') {
+      args.profile = value ?? argv[++i]
+    } else if (flag === '--follow' || flag === '-f') {
+      args.follow = true
+    } else if (flag === '--json') {
+      json = true
+    }
+  }
+  return command ? { command, args, json } : null
+}
+
+function formatTime(ts) {
+  return ts ? new Date(ts).toLocaleString(getLocale()) : t('tray.never')
+}
+
+function printResult(cli, result, print) {
+  if (cli.json) {
+    print(JSON.stringify(result, null, 2))
+    return
+  }
+  switch (cli.command) {
+    case 'status':
+      print(`LiFE OneDrive Sync: ${result.label}${result.pauseReasons.length ? ` (${result.pauseLabel || result.pauseReasons.join(', ')})` : ''}`)
+      for (const p of result.profiles) {
+        const notes = []
+        if (!p.signedIn) notes.push(t('cli.note.signedOut'))
+        if (p.tokenInvalid) notes.push(t('cli.note.expired'))
+        if (p.previewPending) notes.push(t('cli.note.preview'))
+        if (p.resyncPending) notes.push(t('cli.note.resync'))
+        if (p.conflicts) notes.push(t('cli.note.conflicts', { count: p.conflicts }))
+        print(`  ${p.name} [${p.id}]: ${p.stateLabel}, ${t('cli.lastSync', { time: formatTime(p.lastSyncAt) })}${notes.length ? ` – ${notes.join(', ')}` : ''}`)
+        print(`    ${p.syncDir}`)
+      }
+      break
+    case 'sync-now':
+      for (const r of result) print(`${r.profile}: ${r.status === 'ok' ? t('cli.synced') : t(r.reason ? 'cli.failedReason' : 'cli.failed', { reason: r.reason })}`)
+      break
+    case 'tail-log':
+      break // Einträge wurden bereits als Ereignisse ausgegeben
+    default:
+      print(result?.message || 'OK')
+  }
+}
+
+// Befehl ausführen → Exit-Code, oder null, wenn keine App über den Socket erreichbar ist
+export async function runCli(cli, { print = console.log, printError = console.error } = {}) {
+  if (cli.command === 'help') {
+    print(cliUsage())
+    return 0
+  }
+  try {
+    const result = await sendControlCommand(cli.command, cli.args, {
+      onEvent: (event, data) => {
+        if (event === 'log') print(cli.json ? JSON.stringify(data) : formatLogEntry(data))
+      }
+    })
+    printResult(cli, result, print)
+    if (cli.command === 'sync-now' && result.some((r) => r.status !== 'ok')) return 2
+    return 0
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'ECONNREFUSED') return null
+    printError(t('cli.error', { error: e.message }))
+    return 1
+  }
+}
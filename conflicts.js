@@ -0,0 +1,172 @@
+import fs from 'fs/promises' // Promise-based FS API
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import { t } from './i18n.js'
+
+// Konfliktkopien des onedrive Clients erkennen und auflösen.
+// Wurde eine Datei lokal und in OneDrive geändert, benennt der Client die lokale Version um
+// (`<name>-<hostname>-safeBackup-0001.<ext>`) und lädt die OneDrive-Version unter dem ursprünglichen Namen herunter.
+// Die Sicherungskopie ist also die lokale Version, die Datei unter dem ursprünglichen Namen die aus OneDrive.
+
+const SAFE_BACKUP_RE = /-safeBackup-\d+$/
+
+export const CONFLICT_ACTIONS = ['keep-local', 'keep-remote', 'keep-both']
+
+export function isConflictCopy(file) {
+  const name = path.basename(String(file || ''))
+  return SAFE_BACKUP_RE.test(name.slice(0, name.length - path.extname(name).length))
+}
+
+// Ursprünglichen Pfad einer Sicherungskopie ermitteln. Der Hostname kann selbst Bindestriche enthalten,
+// deshalb werden alle Kandidaten geprüft und der erste vorhandene genommen. Keiner vorhanden → null
+// (ein geratener Name würde "lokale Version behalten" auf eine erfundene Datei anwenden).
+export async function originalPathFor(backupPath, { hostname = os.hostname() } = {}) {
+  const dir = path.dirname(backupPath)
+  const ext = path.extname(backupPath)
+  const stem = path.basename(backupPath, ext).replace(SAFE_BACKUP_RE, '')
+  const candidates = []
+  if (hostname && stem.endsWith(`-${hostname}`)) candidates.push(stem.slice(0, -hostname.length - 1))
+  for (let i = stem.lastIndexOf('-'); i > 0; i = stem.lastIndexOf('-', i - 1)) candidates.push(stem.slice(0, i))
+  const paths = [...new Set(candidates)].map((c) => path.join(dir, c + ext))
+  for (const candidate of paths) {
+    try {
+      await fs.access(candidate)
+      return candidate
+    } catch {}
+  }
+  return null
+}
+
+// Sync-Ordner nach Sicherungskopien durchsuchen (Symlinks werden nicht verfolgt)
+export async function scanConflicts(syncDir, { maxEntries = 200000 } = {}) {
+  const found = []
+  const pending = [syncDir]
+  let seen = 0
+  while (pending.length && seen < maxEntries) {
+    const dir = pending.pop()
+    let entries = []
+    try { entries = await fs.readdir(dir, { withFileTypes: true }) } catch { continue }
+    for (const entry of entries) {
+      seen += 1
+      const full = path.join(dir, entry.name)
+      if (entry.isDirectory()) pending.push(full)
+      else if (entry.isFile() && isConflictCopy(entry.name)) found.push(full)
+    }
+  }
+  return Promise.all(found.map(async (backupPath) => ({ backupPath, originalPath: await originalPathFor(backupPath) })))
+}
+
+async function fileInfo(file) {
+  try {
+    const stat = await fs.stat(file)
+    return stat.isFile() ? { size: stat.size, mtimeMs: stat.mtimeMs } : null
+  } catch {
+    return null
+  }
+}
+
+// Beide Versionen für die Anzeige beschreiben (null, wenn die Sicherungskopie nicht mehr existiert)
+export async function describeConflict(conflict, syncDir) {
+  const local = await fileInfo(conflict.backupPath)
+  if (!local) return null
+  return {
+    backupPath: conflict.backupPath,
+    originalPath: conflict.originalPath,
+    relativePath: path.relative(syncDir, conflict.originalPath || conflict.backupPath),
+    detectedAt: conflict.detectedAt,
+    local,
+    remote: conflict.originalPath ? await fileInfo(conflict.originalPath) : null
+  }
+}
+
+// Freien Namen für "beide behalten" finden: `Bericht (Konflikt 2024-05-01).docx` (je nach Sprache), ggf. mit Zähler
+async function keepBothPath(conflict) {
+  const target = conflict.originalPath || conflict.backupPath.replace(SAFE_BACKUP_RE, '')
+  const ext = path.extname(target)
+  const base = path.join(path.dirname(target), path.basename(target, ext))
+  const stamp = new Date().toISOString().slice(0, 10)
+  for (let n = 1; n < 1000; n++) {
+    const candidate = `${base} (${t('conflicts.keepBothName', { date: `${stamp}${n > 1 ? ` ${n}` : ''}` })})${ext}`
+    if (!(await fileInfo(candidate))) return candidate
+  }
+  throw new Error(t('conflicts.error.noFreeName'))
+}
+
+// Konflikt auflösen:
+//   keep-local  – lokale Version (Sicherungskopie) ersetzt die OneDrive-Version und wird hochgeladen
+//   keep-remote – Sicherungskopie in den Papierkorb (trash), die OneDrive-Version bleibt
+//   keep-both   – Sicherungskopie unter einem lesbaren Namen behalten
+export async function resolveConflict(conflict, action, { trash = (file) => fs.rm(file) } = {}) {
+  if (!(await fileInfo(conflict.backupPath))) {
+    throw new Error(t('conflicts.error.backupMissing'))
+  }
+  switch (action) {
+    case 'keep-local':
+      if (!conflict.originalPath) throw new Error(t('conflicts.error.originalUnknown'))
+      await fs.rename(conflict.backupPath, conflict.originalPath)
+      return { path: conflict.originalPath }
+    case 'keep-remote':
+      await trash(conflict.backupPath)
+      return { path: conflict.originalPath }
+    case 'keep-both': {
+      const target = await keepBothPath(conflict)
+      await fs.rename(conflict.backupPath, target)
+      return { path: target }
+    }
+    default:
+      throw new Error(t('conflicts.error.unknownAction', { action }))
+  }
+}
+
+// Bekannte Konflikte pro Profil (aus der Client-Ausgabe und aus Scans)
+export function createConflictRegistry() {
+  const byProfile = new Map() // profileId → Map(backupPath → conflict)
+  const entries = (profileId) => {
+    if (!byProfile.has(profileId)) byProfile.set(profileId, new Map())
+    return byProfile.get(profileId)
+  }
+  return {
+    // → true, wenn der Konflikt neu ist
+    add(profileId, { backupPath, originalPath }) {
+      const map = entries(profileId)
+      const known = map.get(backupPath)
+      if (known) {
+        if (originalPath) known.originalPath = originalPath // Pfad aus der Client-Ausgabe ist genauer
+        return false
+      }
+      map.set(backupPath, { backupPath, originalPath: originalPath || null, detectedAt: Date.now() })
+      return true
+    },
+    // Scan-Ergebnis übernehmen: nicht mehr vorhandene Kopien entfernen → neu hinzugekommene Konflikte
+    replace(profileId, conflicts) {
+      const map = entries(profileId)
+      const current = new Set(conflicts.map((c) => c.backupPath))
+      for (const backupPath of map.keys()) {
+        if (!current.has(backupPath)) map.delete(backupPath)
+      }
+      const added = []
+      for (const conflict of conflicts) {
+        const known = map.get(conflict.backupPath)
+        if (known) continue // Bekannten Originalpfad (z. B. aus der Client-Ausgabe) behalten
+        map.set(conflict.backupPath, { ...conflict, detectedAt: Date.now() })
+        added.push(map.get(conflict.backupPath))
+      }
+      return added
+    },
+    get(profileId, backupPath) {
+      return byProfile.get(profileId)?.get(backupPath)
+    },
+    remove(profileId, backupPath) {
+      byProfile.get(profileId)?.delete(backupPath)
+    },
+    list(profileId) {
+      return [...(byProfile.get(profileId)?.values() || [])]
+    },
+    count(profileId) {
+      return byProfile.get(profileId)?.size || 0
+    },
+    clear(profileId) {
+      byProfile.delete(profileId)
+    }
+  }
+}
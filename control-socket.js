@@ -0,0 +1,115 @@
+import net from 'net' // Unix domain sockets
+import fs from 'fs' // Sync FS API
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import { createLineSplitter } from './sync-output.js'
+import { t } from './i18n.js'
+
+// Lokale Steuerschnittstelle der laufenden App (z. B. für Skripte auf Schulrechnern).
+// Protokoll: eine JSON-Nachricht pro Zeile.
+//   Anfrage:  { "id": 1, "command": "status", "args": {} }
+//   Antwort:  { "id": 1, "ok": true, "result": … }  bzw.  { "id": 1, "ok": false, "error": "…" }
+//   Ereignis: { "id": 1, "event": "log", "data": … }  (z. B. tail-log mit follow, bis die Verbindung endet)
+
+const MAX_LINE = 64 * 1024
+
+export const CONTROL_COMMANDS = ['status', 'sync-now', 'pause', 'resume', 'reauth', 'tail-log']
+
+// Socket im Laufzeitverzeichnis des Benutzers (nur für ihn lesbar)
+export function controlSocketPath() {
+  const runtimeDir = process.env.XDG_RUNTIME_DIR
+  if (runtimeDir) return path.join(runtimeDir, 'life-onedrive-sync.sock')
+  return path.join(os.tmpdir(), `life-onedrive-sync-${os.userInfo().uid}.sock`)
+}
+
+// handle(command, args, { send, onClose }) → Ergebnis (oder Promise); Fehler werden als { ok: false } beantwortet
+export function createControlServer({ socketPath = controlSocketPath(), handle }) {
+  const server = net.createServer((socket) => {
+    const closeListeners = new Set()
+    socket.on('close', () => { for (const listener of closeListeners) listener() })
+    socket.on('error', () => {})
+    const write = (message) => {
+      if (!socket.destroyed) socket.write(JSON.stringify(message) + '\n')
+    }
+    const splitter = createLineSplitter(async (line) => {
+      if (!line.trim()) return
+      let request
+      try {
+        request = JSON.parse(line)
+      } catch {
+        write({ ok: false, error: t('cli.invalidJson') })
+        return
+      }
+      const id = request?.id ?? null
+      if (!CONTROL_COMMANDS.includes(request?.command)) {
+        write({ id, ok: false, error: t('cli.unknownCommand', { command: request?.command }) })
+        return
+      }
+      try {
+        const result = await handle(request.command, request.args && typeof request.args === 'object' ? request.args : {}, {
+          send: (event, data) => write({ id, event, data }),
+          onClose: (listener) => closeListeners.add(listener)
+        })
+        write({ id, ok: true, result: result ?? null })
+      } catch (e) {
+        write({ id, ok: false, error: e?.message || String(e) })
+      }
+    })
+    let received = 0
+    socket.on('data', (chunk) => {
+      received += chunk.length
+      if (received > MAX_LINE * 16) { socket.destroy(); return } // Kein Dauerbeschuss über eine Verbindung
+      splitter.push(chunk)
+    })
+  })
+
+  return {
+    listen() {
+      return new Promise((resolve, reject) => {
+        // Verwaiste Socket-Datei einer abgestürzten Instanz entfernen (die Single-Instance-Sperre hält nur eine App)
+        try { fs.unlinkSync(socketPath) } catch {}
+        server.once('error', reject)
+        server.listen(socketPath, () => {
+          try { fs.chmodSync(socketPath, 0o600) } catch {}
+          resolve(socketPath)
+        })
+      })
+    },
+    close() {
+      server.close()
+      try { fs.unlinkSync(socketPath) } catch {}
+    }
+  }
+}
+
+// Befehl an die laufende App senden → Ergebnis. onEvent erhält Ereignisse (z. B. Log-Einträge) bis zur Antwort.
+// Für tail-log mit follow kommt keine Antwort; die Verbindung bleibt offen, bis der Aufrufer sie beendet.
+export function sendControlCommand(command, args = {}, { socketPath = controlSocketPath(), onEvent, timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath)
+    let timer = timeoutMs ? setTimeout(() => { socket.destroy(); reject(new Error(t('cli.timeout'))) }, timeoutMs) : null
+    const splitter = createLineSplitter((line) => {
+      let message
+      try { message = JSON.parse(line) } catch { return }
+      if (message.event) {
+        onEvent?.(message.event, message.data)
+        return
+      }
+      clearTimeout(timer)
+      socket.end()
+      if (message.ok) resolve(message.result)
+      else reject(new Error(message.error))
+    })
+    socket.on('connect', () => {
+      // Lang laufende Befehle (sync-now) melden sich erst am Ende → nach dem Verbindungsaufbau ohne Timeout warten
+      if (command === 'sync-now' || (command === 'tail-log' && args.follow)) {
+        clearTimeout(timer)
+        timer = null
+      }
+      socket.write(JSON.stringify({ id: 1, command, args }) + '\n')
+    })
+    socket.on('data', (chunk) => splitter.push(chunk))
+    socket.on('error', (err) => { clearTimeout(timer); reject(err) })
+    socket.on('close', () => { clearTimeout(timer); reject(new Error(t('cli.connectionClosed'))) })
+  })
+}
@@ -0,0 +1,258 @@
+import fs from 'fs/promises' // Promise-based FS API
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import zlib from 'zlib' // Compression for the support bundle
+import { parseConfig, serializeConfig } from './onedrive-config.js'
+import { runCommand } from './run-command.js'
+import { t } from './i18n.js'
+
+// Einrichtungs-Diagnose: Client-Version und Fähigkeiten, Konfiguration, Ordner, Token und
+// konkurrierende onedrive-Prozesse prüfen. Jeder fehlgeschlagene Check nennt eine konkrete Abhilfe.
+//
+// Check: { id, label, status: 'ok' | 'warning' | 'error' | 'skipped', detail, fix?, profileId? }
+
+const MIN_VERSION = [2, 4, 0]
+const REQUIRED_FLAGS = ['--confdir', '--sync', '--monitor', '--auth-files', '--reauth', '--resync', '--resync-auth', '--dry-run', '--display-config', '--display-sync-status']
+const TOKEN_WARN_DAYS = 80 // Refresh-Token verfallen nach 90 Tagen ohne Nutzung
+
+export function parseClientVersion(text) {
+  const m = /v?(\d+)\.(\d+)\.(\d+)/.exec(String(text || ''))
+  return m ? [Number(m[1]), Number(m[2]), Number(m[3])] : null
+}
+
+function versionAtLeast(version, min) {
+  for (let i = 0; i < min.length; i++) {
+    if (version[i] !== min[i]) return version[i] > min[i]
+  }
+  return true
+}
+
+async function checkAccess(target, label, id, profileId, { create = false } = {}) {
+  try {
+    const stat = await fs.stat(target)
+    if (!stat.isDirectory()) {
+      return { id, label, status: 'error', detail: t('diagnostics.notDirectory', { path: target }), fix: t('diagnostics.fix.notDirectory', { path: target }), profileId }
+    }
+    await fs.access(target, fs.constants.R_OK | fs.constants.W_OK)
+    return { id, label, status: 'ok', detail: target, profileId }
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return create
+        ? { id, label, status: 'warning', detail: t('diagnostics.notYetCreated', { path: target }), fix: t('diagnostics.fix.notYetCreated'), profileId }
+        : { id, label, status: 'error', detail: t('diagnostics.missing', { path: target }), fix: t('diagnostics.fix.missing', { path: target }), profileId }
+    }
+    return { id, label, status: 'error', detail: t('diagnostics.noAccess', { path: target }), fix: t('diagnostics.fix.noAccess', { path: target, user: os.userInfo().username }), profileId }
+  }
+}
+
+// Laufende onedrive-Prozesse mit ihrem confdir (aus /proc)
+async function onedriveProcesses() {
+  const found = []
+  let pids = []
+  try { pids = (await fs.readdir('/proc')).filter((n) => /^\d+$/.test(n)) } catch { return found }
+  for (const pid of pids) {
+    let argv
+    try { argv = (await fs.readFile(`/proc/${pid}/cmdline`, 'utf8')).split('\0').filter(Boolean) } catch { continue }
+    if (!argv.length || path.basename(argv[0]) !== 'onedrive') continue
+    const i = argv.indexOf('--confdir')
+    const inline = argv.find((a) => a.startsWith('--confdir='))
+    const confdir = i >= 0 ? argv[i + 1] : inline ? inline.slice('--confdir='.length) : path.join(os.homedir(), '.config', 'onedrive')
+    found.push({ pid: Number(pid), confdir: path.resolve(confdir.replace(/^~(?=$|\/)/, os.homedir())), args: argv.slice(1).join(' ') })
+  }
+  return found
+}
+
+// Aktive onedrive systemd-Dienste (Benutzer- und Systemdienste, z. B. onedrive@user.service)
+async function onedriveServices() {
+  const services = []
+  for (const scope of [['--user'], []]) {
+    const { code, stdout } = await runCommand('systemctl', [...scope, 'list-units', '--type=service', '--state=active', '--no-legend', '--plain', 'onedrive*'], { timeoutMs: 5000 })
+    if (code !== 0) continue
+    for (const line of stdout.split('\n')) {
+      const unit = line.trim().split(/\s+/)[0]
+      if (unit) services.push({ unit, user: scope.length > 0 })
+    }
+  }
+  return services
+}
+
+// Client-Version und unterstützte Optionen prüfen → { checks, version }
+async function clientChecks() {
+  const checks = []
+  const versionRun = await runCommand('onedrive', ['--version'])
+  if (versionRun.error || versionRun.code === null) {
+    checks.push({ id: 'client-installed', label: t('diagnostics.label.client-installed'), status: 'error', detail: t('diagnostics.clientMissing'), fix: t('diagnostics.fix.clientMissing') })
+    return { checks, version: null }
+  }
+  const versionText = (versionRun.stdout || versionRun.stderr).trim()
+  const version = parseClientVersion(versionText)
+  checks.push({ id: 'client-installed', label: t('diagnostics.label.client-installed'), status: 'ok', detail: versionText })
+  if (!version) {
+    checks.push({ id: 'client-version', label: t('diagnostics.label.client-version'), status: 'warning', detail: t('diagnostics.versionUnknown', { version: versionText }), fix: t('diagnostics.fix.versionUnknown') })
+  } else if (!versionAtLeast(version, MIN_VERSION)) {
+    checks.push({ id: 'client-version', label: t('diagnostics.label.client-version'), status: 'error', detail: t('diagnostics.versionTooOld', { version: version.join('.'), min: MIN_VERSION.join('.') }), fix: t('diagnostics.fix.versionTooOld') })
+  } else {
+    checks.push({ id: 'client-version', label: t('diagnostics.label.client-version'), status: 'ok', detail: version.join('.') })
+  }
+
+  const help = await runCommand('onedrive', ['--help'])
+  const helpText = `${help.stdout}\n${help.stderr}`
+  const missing = REQUIRED_FLAGS.filter((flag) => !new RegExp(`${flag}(?![\\w-])`).test(helpText))
+  checks.push(missing.length === 0
+    ? { id: 'client-flags', label: t('diagnostics.label.client-flags'), status: 'ok', detail: REQUIRED_FLAGS.join(' ') }
+    : { id: 'client-flags', label: t('diagnostics.label.client-flags'), status: 'error', detail: t('diagnostics.flagsMissing', { flags: missing.join(' ') }), fix: t('diagnostics.fix.flagsMissing') })
+  return { checks, version }
+}
+
+// Checks eines Profils
+async function profileChecks(profile, { processes, services, ownPids, clientOk }) {
+  const checks = []
+  const id = profile.id
+  checks.push(await checkAccess(profile.confdir, t('diagnostics.label.confdir'), 'confdir', id, { create: true }))
+  checks.push(await checkAccess(profile.syncDir, t('diagnostics.label.sync-dir'), 'sync-dir', id, { create: true }))
+
+  if (clientOk) {
+    const display = await runCommand('onedrive', ['--confdir', profile.confdir, '--display-config'])
+    const output = `${display.stdout}\n${display.stderr}`
+    const errorLine = output.split('\n').find((l) => /^\s*(?:ERROR|Invalid|Unknown)\b/i.test(l))
+    checks.push(display.code === 0 && !errorLine
+      ? { id: 'display-config', label: t('diagnostics.label.display-config'), status: 'ok', detail: `${path.join(profile.confdir, 'config')}`, profileId: id }
+      : { id: 'display-config', label: t('diagnostics.label.display-config'), status: 'error', detail: (errorLine || `Code ${display.code}`).trim(), fix: t('diagnostics.fix.config', { path: path.join(profile.confdir, 'config') }), profileId: id })
+  } else {
+    checks.push({ id: 'display-config', label: t('diagnostics.label.display-config'), status: 'skipped', detail: t('diagnostics.clientUnavailable'), profileId: id })
+  }
+
+  try {
+    const stat = await fs.stat(path.join(profile.confdir, 'refresh_token'))
+    const days = Math.floor((Date.now() - stat.mtimeMs) / (24 * 60 * 60 * 1000))
+    checks.push(days >= TOKEN_WARN_DAYS
+      ? { id: 'token', label: t('diagnostics.label.token'), status: 'warning', detail: t('diagnostics.tokenOld', { count: days }), fix: t('diagnostics.fix.tokenOld'), profileId: id }
+      : { id: 'token', label: t('diagnostics.label.token'), status: 'ok', detail: t(days === 0 ? 'diagnostics.tokenToday' : 'diagnostics.tokenRenewed', { count: days }), profileId: id })
+  } catch {
+    checks.push({ id: 'token', label: t('diagnostics.label.token'), status: 'error', detail: t('diagnostics.noToken'), fix: t('diagnostics.fix.noToken'), profileId: id })
+  }
+
+  const confdir = path.resolve(profile.confdir)
+  const foreign = processes.filter((p) => p.confdir === confdir && !ownPids.includes(p.pid))
+  const defaultConfdir = path.join(os.homedir(), '.config', 'onedrive')
+  const foreignServices = confdir === defaultConfdir ? services : services.filter((s) => s.unit.includes(profile.id))
+  if (foreign.length || foreignServices.length) {
+    const detail = [...foreign.map((p) => `PID ${p.pid}: onedrive ${p.args}`), ...foreignServices.map((s) => t(s.user ? 'diagnostics.userService' : 'diagnostics.systemService', { unit: s.unit }))].join('; ')
+    const fix = foreignServices.length
+      ? t('diagnostics.fix.service', { command: `systemctl ${foreignServices[0].user ? '--user ' : ''}disable --now ${foreignServices[0].unit}` })
+      : t('diagnostics.fix.process', { pid: foreign[0].pid })
+    checks.push({ id: 'other-process', label: t('diagnostics.label.other-process'), status: 'error', detail: detail, fix, profileId: id })
+  } else {
+    checks.push({ id: 'other-process', label: t('diagnostics.label.other-process'), status: 'ok', detail: t('diagnostics.onlyApp'), profileId: id })
+  }
+  return checks
+}
+
+// Vollständige Diagnose → Bericht
+export async function runDiagnostics({ profiles, ownPids = [], appInfo = {} }) {
+  const client = await clientChecks()
+  const clientOk = client.checks[0].status === 'ok'
+  const [processes, services] = await Promise.all([onedriveProcesses(), onedriveServices()])
+  const checks = [...client.checks]
+  for (const profile of profiles) {
+    checks.push(...(await profileChecks(profile, { processes, services, ownPids, clientOk })))
+  }
+  return {
+    createdAt: Date.now(),
+    app: { ...appInfo, platform: `${os.type()} ${os.release()} (${process.arch})` },
+    clientVersion: client.version?.join('.') || null,
+    profiles: profiles.map((p) => ({ id: p.id, name: p.name })),
+    checks
+  }
+}
+
+export function formatDiagnostics(report) {
+  const lines = [
+    t('diagnostics.reportTitle', { date: new Date(report.createdAt).toISOString() }),
+    ...Object.entries(report.app).map(([key, value]) => `${key}: ${value}`),
+    `onedrive: ${report.clientVersion || t('diagnostics.notFound')}`,
+    ''
+  ]
+  for (const check of report.checks) {
+    const profile = check.profileId ? ` [${check.profileId}]` : ''
+    lines.push(`[${check.status.toUpperCase()}]${profile} ${check.label}: ${check.detail || ''}`)
+    if (check.fix && check.status !== 'ok') lines.push(`    ${t('diagnostics.fixLabel', { fix: check.fix })}`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+// Persönliche Daten aus Texten entfernen (Benutzername, Home-Pfad)
+export function redactText(text) {
+  const home = os.homedir()
+  const user = os.userInfo().username
+  let result = String(text || '').split(home).join('~')
+  if (user && user.length > 2) result = result.replace(new RegExp(`\\b${user.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'), '<user>')
+  return result
+}
+
+const SECRET_KEY_RE = /token|secret|password|tenant|application_id|drive_id|webhook|email|_url$/i
+
+// Config ohne Geheimnisse und IDs
+export function redactConfig(text) {
+  const doc = parseConfig(text)
+  for (const line of doc.lines) {
+    if (line.type === 'entry' && SECRET_KEY_RE.test(line.key) && line.value) {
+      line.value = '<redacted>'
+      line.raw = `${line.key} = "<redacted>"`
+    }
+  }
+  return redactText(serializeConfig(doc))
+}
+
+// Minimaler ZIP-Schreiber (Deflate) – entries: [{ name, data }]
+export async function writeZip(file, entries) {
+  const chunks = []
+  const central = []
+  let offset = 0
+  const now = new Date()
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1)
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8')
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8')
+    const compressed = zlib.deflateRawSync(data)
+    const crc = zlib.crc32(data)
+    const header = Buffer.alloc(30)
+    header.writeUInt32LE(0x04034b50, 0)
+    header.writeUInt16LE(20, 4)
+    header.writeUInt16LE(0x0800, 6) // UTF-8 Dateinamen
+    header.writeUInt16LE(8, 8) // Deflate
+    header.writeUInt16LE(dosTime, 10)
+    header.writeUInt16LE(dosDate, 12)
+    header.writeUInt32LE(crc, 14)
+    header.writeUInt32LE(compressed.length, 18)
+    header.writeUInt32LE(data.length, 22)
+    header.writeUInt16LE(name.length, 26)
+    header.writeUInt16LE(0, 28)
+    chunks.push(header, name, compressed)
+
+    const record = Buffer.alloc(46)
+    record.writeUInt32LE(0x02014b50, 0)
+    record.writeUInt16LE(20, 4)
+    record.writeUInt16LE(20, 6)
+    record.writeUInt16LE(0x0800, 8)
+    record.writeUInt16LE(8, 10)
+    record.writeUInt16LE(dosTime, 12)
+    record.writeUInt16LE(dosDate, 14)
+    record.writeUInt32LE(crc, 16)
+    record.writeUInt32LE(compressed.length, 20)
+    record.writeUInt32LE(data.length, 24)
+    record.writeUInt16LE(name.length, 28)
+    record.writeUInt32LE(offset, 42)
+    central.push(record, name)
+    offset += header.length + name.length + compressed.length
+  }
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(entries.length, 8)
+  end.writeUInt16LE(entries.length, 10)
+  end.writeUInt32LE(centralSize, 12)
+  end.writeUInt32LE(offset, 16)
+  await fs.writeFile(file, Buffer.concat([...chunks, ...central, end]))
+}
@@ -0,0 +1,69 @@
+import { runCommand } from './run-command.js'
+import { t } from './i18n.js'
+
+// Speicherplatz des OneDrive-Laufwerks aus der Ausgabe des Clients.
+// `--display-quota` (ab v2.5) gibt u. a. "Total:  1099511627776 bytes (1024.00 GiB)" und "State:  normal" aus;
+// ältere Clients melden mit `--display-sync-status --verbose` nur "Remaining Free Space".
+
+const UNITS = { b: 1, byte: 1, bytes: 1, kb: 1024, kib: 1024, mb: 1024 ** 2, mib: 1024 ** 2, gb: 1024 ** 3, gib: 1024 ** 3, tb: 1024 ** 4, tib: 1024 ** 4 }
+const AMOUNT_RE = /^["']?(total|used|remaining|deleted)["']?\s*[:=]\s*"?(\d+(?:\.\d+)?)\s*([KMGT]i?B|B|bytes?)?\b/i
+const FREE_SPACE_RE = /Remaining Free Space\s*:\s*(\d+(?:\.\d+)?)\s*([KMGT]i?B|B|bytes?)?\b/i
+const STATE_RE = /^["']?state["']?\s*[:=]\s*"?(\w+)/i
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[ T][\d:.]+\s+/
+
+// Graph-Zustände: normal, nearing (> 90 %), critical (> 99 %), exceeded
+const WARNING_RATIO = 0.9
+
+function toBytes(value, unit) {
+  return Math.round(Number(value) * (UNITS[String(unit || 'b').toLowerCase()] || 1))
+}
+
+// → { total, used, remaining, deleted, state } (unbekannte Werte null) oder null ohne verwertbare Angaben
+export function parseQuota(text) {
+  const quota = { total: null, used: null, remaining: null, deleted: null, state: null }
+  // JSON-Ausgabe ("total": 123,) wie Zeilen behandeln
+  const lines = String(text || '').split(/\r?\n|,(?=\s*")/).map((line) => line.replace(TIMESTAMP_RE, '').trim().replace(/^[{\s]+/, ''))
+  for (const line of lines) {
+    const free = FREE_SPACE_RE.exec(line)
+    if (free) {
+      quota.remaining ??= toBytes(free[1], free[2])
+      continue
+    }
+    const amount = AMOUNT_RE.exec(line)
+    if (amount) {
+      quota[amount[1].toLowerCase()] = toBytes(amount[2], amount[3])
+      continue
+    }
+    const state = STATE_RE.exec(line)
+    if (state) quota.state = state[1].toLowerCase()
+  }
+  if (quota.total === null && quota.used !== null && quota.remaining !== null) quota.total = quota.used + quota.remaining
+  if (quota.used === null && quota.total !== null && quota.remaining !== null) quota.used = Math.max(0, quota.total - quota.remaining)
+  return Object.values(quota).some((v) => v !== null) ? quota : null
+}
+
+// 'ok' | 'warning' (fast voll) | 'critical' (voll oder fast voll laut OneDrive)
+export function quotaLevel(quota) {
+  if (!quota) return 'ok'
+  if (quota.state === 'critical' || quota.state === 'exceeded' || (quota.total && quota.remaining === 0)) return 'critical'
+  if (quota.state === 'nearing' || (quota.total > 0 && quota.used / quota.total >= WARNING_RATIO)) return 'warning'
+  return 'ok'
+}
+
+// Speicherplatz über den Client abfragen → { ...quota, level }
+export async function readQuota(confdir, { timeoutMs = 60000 } = {}) {
+  let result = await runCommand('onedrive', ['--confdir', confdir, '--display-quota'], { timeoutMs })
+  if (result.error) throw new Error(t('common.spawnFailed', { error: result.error.message }))
+  let output = `${result.stdout}\n${result.stderr}`
+  if (result.code !== 0 && /unrecognized option|unknown option/i.test(output)) {
+    result = await runCommand('onedrive', ['--confdir', confdir, '--display-sync-status', '--verbose'], { timeoutMs })
+    output = `${result.stdout}\n${result.stderr}`
+  }
+  const quota = parseQuota(output)
+  if (!quota) {
+    const error = new Error(t('dashboard.quotaNoData'))
+    error.output = output
+    throw error
+  }
+  return { ...quota, level: quotaLevel(quota) }
+}
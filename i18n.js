@@ -0,0 +1,67 @@
+import fs from 'fs' // Sync FS API (catalogs are small)
+import path from 'path' // Path utilities
+import { fileURLToPath } from 'url' // ESM helpers
+
+// Übersetzungen für Main-Prozess und Oberfläche: locales/<Sprache>.json bildet Schlüssel auf Texte mit {Platzhaltern} ab.
+// Pluralformen stehen als Objekt im Katalog ({ "one": "…", "other": "…" }) und werden über params.count gewählt.
+// Die Oberfläche bekommt den Katalog über IPC (get-i18n) und formatiert ihn mit derselben Logik (t() in index.html).
+// Die Sprache gilt für den ganzen Prozess, damit auch Module ohne Zugriff auf die Einstellungen übersetzen können.
+
+export const LOCALES = { de: 'Deutsch', en: 'English' }
+export const LANGUAGE_SETTINGS = ['system', ...Object.keys(LOCALES)] // 'system' = Sprache des Systems
+
+const FALLBACK_LOCALE = 'en'
+const CATALOG_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'locales')
+const catalogs = new Map()
+let current = FALLBACK_LOCALE
+
+function load(locale) {
+  if (!catalogs.has(locale)) {
+    try {
+      catalogs.set(locale, JSON.parse(fs.readFileSync(path.join(CATALOG_DIR, `${locale}.json`), 'utf8')))
+    } catch (e) {
+      console.warn('Could not load catalog', locale, e?.message)
+      catalogs.set(locale, {})
+    }
+  }
+  return catalogs.get(locale)
+}
+
+// Einstellung ('system', 'de', 'en') und Systemsprachen (z. B. "de-AT", "de_DE.UTF-8") → unterstützte Sprache
+export function resolveLocale(setting, systemLocales = []) {
+  if (LOCALES[setting]) return setting
+  for (const tag of systemLocales) {
+    const base = String(tag || '').toLowerCase().split(/[-_.@:]/)[0]
+    if (LOCALES[base]) return base
+  }
+  return FALLBACK_LOCALE
+}
+
+export function setLocale(locale) {
+  current = LOCALES[locale] ? locale : FALLBACK_LOCALE
+  return current
+}
+
+export function getLocale() {
+  return current
+}
+
+// Vollständiger Katalog einer Sprache (fehlende Schlüssel aus der Ersatzsprache)
+export function catalog(locale = current) {
+  return { ...load(FALLBACK_LOCALE), ...load(locale) }
+}
+
+// {name} durch params.name ersetzen; bei Pluralformen entscheidet params.count
+export function formatMessage(template, params = {}, locale = current) {
+  let text = template
+  if (text && typeof text === 'object') {
+    text = text[new Intl.PluralRules(locale).select(Number(params.count) || 0)] ?? text.other
+  }
+  return String(text ?? '').replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match).toString())
+}
+
+// Text zu einem Schlüssel in der aktuellen Sprache (unbekannte Schlüssel bleiben sichtbar)
+export function t(key, params = {}) {
+  const template = load(current)[key] ?? load(FALLBACK_LOCALE)[key]
+  return template === undefined ? key : formatMessage(template, params)
+}
@@ -1,33 +1,118 @@
-import { app, BrowserWindow, ipcMain, Tray, Menu } from 'electron' // Electron core modules
-import os from 'os' // OS utilities
+import { app, BrowserWindow, ipcMain, Tray, Menu, shell, dialog, Notification, session, powerMonitor } from 'electron' // Electron core modules
 import fs from 'fs/promises' // Promise-based FS API
 import fssync from 'fs' // Sync FS API
 import path from 'path' // Path utilities
 import { fileURLToPath } from 'url' // ESM helpers
 import { spawn } from 'child_process' // Process spawning
+import { createProfileStore, profilePaths, authPartition, DEFAULT_PROFILE_ID } from './profiles.js'
+import { parseConfig, serializeConfig, getValue, setValue, expandHome, readSettings, validateSettings, RESYNC_KEYS } from './onedrive-config.js'
+import { parseSyncList, buildSyncList, readSyncList, writeSyncList, hashSyncList, listRemoteFolders } from './sync-list.js'
+import { createOutputParser, createLineSplitter, createProgressTracker, parseOutputLine, findAuthFailure } from './sync-output.js'
+import { createMonitorSupervisor } from './monitor-supervisor.js'
+import { createServiceSupervisor, followServiceOutput, installServiceUnit, removeServiceUnit, listServiceUnits, systemdUserAvailable, serviceUnitName } from './systemd-service.js'
+import { HIDDEN_FLAG, isAutostartEnabled, setAutostart } from './autostart.js'
+import { createLoopbackListener, authRedirectTarget, parseBrowserResponse, REDIRECT_URI_KEY } from './browser-auth.js'
+import { createSyncScheduler, validateSchedule, normalizeSchedule } from './sync-schedule.js'
+import { createNotifier, normalizeNotificationSettings, validateNotificationSettings, formatCycleSummary, notificationTitle } from './notifications.js'
+import { createJsonStore } from './store.js'
+import { createTrayIcons } from './tray-icons.js'
+import { createSyncLog, LOG_LEVELS } from './sync-log.js'
+import { createControlServer } from './control-socket.js'
+import { runDiagnostics, formatDiagnostics, redactConfig, redactText, writeZip } from './diagnostics.js'
+import { runCommand } from './run-command.js'
+import { parseCliArgs, runCli } from './cli.js'
+import { runDryRun } from './sync-preview.js'
+import { validateSyncFolder, moveSyncFolder, readFreeSpace, formatBytes } from './sync-folder.js'
+import { readSkipRules, validateSkipRules, writeSkipRules, testSkipRules } from './skip-rules.js'
+import { listSharePointLibraries, librarySyncDir } from './sharepoint.js'
+import { readQuota } from './drive-quota.js'
+import { createActivityFeed } from './activity-feed.js'
+import { createConflictRegistry, scanConflicts, originalPathFor, describeConflict, resolveConflict, CONFLICT_ACTIONS } from './conflicts.js'
+import { t, setLocale, getLocale, resolveLocale, catalog, LOCALES, LANGUAGE_SETTINGS } from './i18n.js'
 
 const __filename = fileURLToPath(import.meta.url) // Current file path
 const __dirname = path.dirname(__filename) // Current dir path
 
 let win // BrowserWindow ref
 let tray // Tray ref
+let trayIcons // Tray icons per sync state
 let authWindow = null // OneDrive auth window
 let onedriveProcess = null // OneDrive process
-let onedriveMonitorProcess = null // OneDrive monitor process
+const supervisors = new Map() // profileId → supervisor of the OneDrive monitor process
+const lastMonitorStates = new Map() // profileId → previous supervisor state
+const progressTrackers = new Map() // profileId → sync progress derived from client output
+const conflicts = createConflictRegistry() // Known -safeBackup conflict copies per profile
+const syncPreviews = new Map() // profileId → last dry-run that can be confirmed
+const activity = createActivityFeed() // Recently uploaded/downloaded/deleted files from client output
+const quotas = new Map() // profileId → { quota, error, checkedAt, pending } of the OneDrive storage
+const DEFAULT_DELETE_THRESHOLD = 100 // Warn when a preview plans more deletions than this
+const migratingProfiles = new Set() // profileIds whose sync folder is being moved
 let isQuitting = false // App shutdown flag
+let controlServer = null // Local control socket for scripts and the CLI mode
+let startHidden = process.argv.includes(HIDDEN_FLAG) // Autostart: only show the tray icon
 
-// OneDrive configuration paths
-const ONEDRIVE_CONFIG_DIR = path.join(os.homedir(), '.config', 'onedrive')
-const ONEDRIVE_AUTH_DIR = path.join(ONEDRIVE_CONFIG_DIR, 'auth')
-const ONEDRIVE_REQUEST_FILE = path.join(ONEDRIVE_AUTH_DIR, 'request.url')
-const ONEDRIVE_RESPONSE_FILE = path.join(ONEDRIVE_AUTH_DIR, 'response.url')
-const ONEDRIVE_CONFIG_FILE = path.join(ONEDRIVE_CONFIG_DIR, 'config')
-const ONEDRIVE_DEFAULT_SYNC_DIR = path.join(os.homedir(), 'OneDrive-Temp')
+// Stores and log are only opened by the GUI instance (initAppState); CLI mode only talks to the control socket
+let profiles = null // Sync profiles (one OneDrive account each, own confdir/sync dir/monitor)
+let settings = null // App-wide settings (settings.json in userData)
+let syncLog = null // Persistent log of auth/monitor/sync events (userData/logs, rotated)
+
+const SETTINGS_DEFAULTS = Object.freeze({
+  paused: false, // Manuell pausiert (bleibt über Neustarts erhalten)
+  monitorMode: 'app', // 'app' = Monitor als Kindprozess, 'systemd' = als systemd-Benutzerdienst (systemd-service.js)
+  authMode: 'window', // 'window' = eingebettetes Anmeldefenster, 'browser' = Standardbrowser (browser-auth.js)
+  schedule: null, // Ruhezeiten, getaktete Verbindungen, Akku (sync-schedule.js, null = Defaults)
+  notifications: null, // Desktop-Benachrichtigungen je Kategorie (notifications.js, null = Defaults)
+  language: 'system' // Sprache der Oberfläche und Meldungen (i18n.js, 'system' = Sprache des Systems)
+})
+const MONITOR_MODES = ['app', 'systemd']
+const AUTH_MODES = ['window', 'browser']
+const pauseReasons = new Set() // Gründe, warum kein Monitor läuft
+
+function initAppState() {
+  const userData = app.getPath('userData')
+  profiles = createProfileStore(userData)
+  settings = createJsonStore(path.join(userData, 'settings.json'), SETTINGS_DEFAULTS)
+  if (settings.get('paused')) pauseReasons.add('manual')
+  syncLog = createSyncLog({ dir: path.join(userData, 'logs') })
+}
+
+// Sprache aus den App-Einstellungen (im CLI-Modus die des Systems); vor app.ready nur aus der Umgebung (LANGUAGE, LC_ALL, LC_MESSAGES, LANG)
+function applyLanguage() {
+  const env = [process.env.LANGUAGE, process.env.LC_ALL, process.env.LC_MESSAGES, process.env.LANG].flatMap((v) => String(v || '').split(':'))
+  const system = app.isReady() ? app.getPreferredSystemLanguages() : []
+  return setLocale(resolveLocale(settings ? settings.get('language') : SETTINGS_DEFAULTS.language, [...system, ...env]))
+}
+applyLanguage()
+
+// Desktop-Benachrichtigungen (Kategorien in den App-Einstellungen abschaltbar, Wiederholungen begrenzt)
+const notifier = createNotifier({
+  show: ({ title, body, onClick }) => notifyDesktop(title, body, onClick),
+  isEnabled: (category) => normalizeNotificationSettings(settings.get('notifications'))[category]
+})
+
+// Zeitplan: pausiert den Monitor in Ruhezeiten, auf getakteten Verbindungen und bei niedrigem Akkustand
+const scheduler = createSyncScheduler({ getSchedule: () => settings.get('schedule') })
 
 let activeAuthRun = null // Tracks the currently running auth attempt
 
-function beginAuthRun() {
-  const run = { id: Date.now(), settled: false }
+// IPC nur aus dem eigenen Hauptfenster annehmen (nicht aus dem Anmeldefenster oder nachgeladenen Seiten).
+// Die Argumente prüft jeder Handler selbst (Status 'invalid-payload').
+function handleIpc(channel, handler) {
+  ipcMain.handle(channel, (event, ...args) => {
+    if (!win || win.isDestroyed() || event.sender !== win.webContents || !event.senderFrame?.url.startsWith('file://')) {
+      console.warn('Rejected IPC call:', channel, event.senderFrame?.url)
+      return { status: 'failed', reason: 'forbidden' }
+    }
+    return handler(event, ...args)
+  })
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+function beginAuthRun(profile) {
+  const run = { id: Date.now(), settled: false, profile }
   activeAuthRun = run
   return run
 }
@@ -35,19 +120,21 @@ function beginAuthRun() {
 function settleAuthRun(run) {
   if (!run || run.settled) return
   run.settled = true
+  run.listener?.close()
   if (activeAuthRun === run) {
     activeAuthRun = null
   }
 }
 
-async function failAuthFlow(message, error, run = activeAuthRun) {
+// key/params: Meldung für die UI (siehe locales/*.json)
+async function failAuthFlow(key, error, run = activeAuthRun, params = {}) {
   if (!run || run.settled) return
   settleAuthRun(run)
-  const safeMessage = message || 'OneDrive Authentifizierung fehlgeschlagen'
+  const safeKey = key || 'auth.failed'
   if (error) {
     console.error('Auth flow error:', error)
   } else {
-    console.error('Auth flow error:', safeMessage)
+    console.error('Auth flow error:', safeKey)
   }
   try {
     if (authWindow && !authWindow.isDestroyed()) {
@@ -59,30 +146,40 @@ async function failAuthFlow(message, error, run = activeAuthRun) {
     try { onedriveProcess.kill() } catch {}
     onedriveProcess = null
   }
-  uiSend('auth-result', { status: 'error', message: safeMessage })
+  uiSend('auth-result', { status: 'error', key: safeKey, params, profileId: run.profile?.id })
 }
 
 process.on('uncaughtException', (err) => {
   console.error('Uncaught exception:', err)
-  failAuthFlow('Unbekannter Fehler während der Authentifizierung', err)
+  failAuthFlow('auth.uncaughtError', err)
 })
 
 process.on('unhandledRejection', (reason) => {
   console.error('Unhandled rejection:', reason)
-  failAuthFlow('Unerwarteter Fehler während der Authentifizierung', reason instanceof Error ? reason : undefined)
+  failAuthFlow('auth.unexpectedError', reason instanceof Error ? reason : undefined)
 })
 
 function createWindow() {
     win = new BrowserWindow({
-        title: "OneDrive Authentifizierung", // Title
+        title: t('app.title'), // Title
         width: 600, // Width
         height: 700, // Height
         icon: path.join(__dirname, 'icon.png'), // Icon
-        webPreferences:{ preload: path.join(__dirname, 'preload.js') } // Preload script
+        show: !startHidden, // Autostart: minimized to tray
+        webPreferences:{
+            preload: path.join(__dirname, 'preload.js'), // Typed API (window.api)
+            contextIsolation: true,
+            sandbox: true,
+            nodeIntegration: false
+        }
     })
+    startHidden = false
 
     win.loadFile('index.html') // Load UI
     win.removeMenu() // Hide menu
+    // Das Hauptfenster zeigt nur index.html: keine Navigation und keine neuen Fenster
+    win.webContents.on('will-navigate', (event) => event.preventDefault())
+    win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }))
 
     win.on('close', (event) => {
          if (!app.isQuiting) { event.preventDefault(); win.hide() } // Minimize to tray
@@ -90,13 +187,10 @@ function createWindow() {
 }
 
 function createTray() {
-    tray = new Tray(path.join(__dirname, 'trayicon.png')) // Create tray icon
-    const contextMenu = Menu.buildFromTemplate([
-        { label: 'Show App', click: () => win.show() }, // Show window
-        { label: 'Quit', click: () => { app.isQuiting = true; app.quit() } } // Quit app
-    ])
-    tray.setToolTip('OneDrive Authentifizierung') // Tooltip
-    tray.setContextMenu(contextMenu) // Context menu
+    trayIcons = createTrayIcons(path.join(__dirname, 'trayicon.png'))
+    tray = new Tray(trayIcons.get('idle')) // Create tray icon
+    tray.setToolTip(t('app.title')) // Tooltip
+    updateTrayStatus() // Icon, tooltip and context menu
   tray.on('click', () => { // Toggle window (guard against destroyed window)
     try {
       if (win && !win.isDestroyed()) {
@@ -106,27 +200,62 @@ function createTray() {
   })
 }
 
-// Enforce single-instance behavior; on second start, focus/show existing window
-const gotTheLock = app.requestSingleInstanceLock()
-if (!gotTheLock) {
-  app.quit()
+function showWindow() {
+  try {
+    if (win && !win.isDestroyed()) {
+      if (win.isMinimized()) win.restore()
+      win.show()
+      win.focus()
+    } else {
+      createWindow()
+    }
+  } catch {}
+}
+
+// CLI mode (e.g. `life-onedrive-sync --status`): talk to the running app and exit
+const cliCommand = parseCliArgs(process.argv.slice(1))
+if (cliCommand) {
+  runCli(cliCommand).then((code) => {
+    if (code !== null) return app.exit(code)
+    // Socket nicht erreichbar: Aktionen über second-instance an eine laufende App weiterleiten
+    const forwardable = !['status', 'tail-log'].includes(cliCommand.command)
+    if (!forwardable || app.requestSingleInstanceLock()) {
+      console.error(t('cli.notRunning'))
+      return app.exit(1)
+    }
+    console.log(t('cli.forwarded'))
+    app.exit(0)
+  })
 } else {
-  app.on('second-instance', () => {
-    try {
-      if (win && !win.isDestroyed()) {
-        if (win.isMinimized()) win.restore()
-        win.show()
-        win.focus()
-      } else {
-        // In rare cases, recreate if no window exists yet
-        createWindow()
+  // Enforce single-instance behavior; on second start, focus/show existing window
+  const gotTheLock = app.requestSingleInstanceLock()
+  if (!gotTheLock) {
+    app.quit()
+  } else {
+    initAppState()
+    applyLanguage()
+    app.on('second-instance', (_event, commandLine) => {
+      // Zweiter Start mit Befehl (z. B. --sync-now): ausführen statt nur das Fenster zu zeigen
+      const forwarded = parseCliArgs(commandLine.slice(1))
+      if (forwarded && forwarded.command !== 'help') {
+        runControlCommand(forwarded.command, forwarded.args).catch((e) => console.warn('Forwarded command failed:', e?.message))
+        return
       }
-    } catch {}
-  })
+      try {
+        if (win && !win.isDestroyed()) {
+          if (win.isMinimized()) win.restore()
+          win.show()
+          win.focus()
+        } else {
+          // In rare cases, recreate if no window exists yet
+          createWindow()
+        }
+      } catch {}
+    })
+    app.whenReady().then(async () => { applyLanguage(); createWindow(); createTray(); startControlServer(); await detectSyncListChanges(); await attachRunningServices(); await startScheduler(); await seedActivity(); maybeStartMonitorIfToken(); scanAllConflicts() }) // Init app
+  }
 }
 
-app.whenReady().then(() => { createWindow(); createTray(); maybeStartMonitorIfToken() }) // Init app
-
 
 
 
@@ -147,52 +276,81 @@ async function checkOnedriveInstallation() {
 }
 
 // OneDrive Authentifizierung starten
-ipcMain.handle('start-onedrive-auth', async (event) => {
-    console.log('start-onedrive-auth handler called')
+handleIpc('start-onedrive-auth', async (_event, profileId) => startOnedriveAuth(profileId))
+
+// Auth-Ablauf für ein Profil (aus UI und Tray)
+async function startOnedriveAuth(profileId) {
+    console.log('start-onedrive-auth handler called for', profileId)
+    const profile = profiles.get(profileId || DEFAULT_PROFILE_ID)
+    if (!profile) {
+        return { status: 'failed', reason: 'unknown-profile' }
+    }
+    const paths = profilePaths(profile)
+    // Ohne gewählten Sync-Ordner zuerst den Ordner-Dialog zeigen (danach startet die UI die Anmeldung erneut)
+    if (getValue(await readOnedriveConfig(profile), 'sync_dir') === undefined) {
+        uiSend('sync-folder-required', { profileId: profile.id })
+        return { status: 'failed', reason: 'sync-dir-required' }
+    }
     try {
-        const authRun = beginAuthRun()
+        const authRun = beginAuthRun(profile)
+        notifyProfilesChanged()
         // Prüfe zuerst, ob OneDrive installiert ist
         const isOnedriveInstalled = await checkOnedriveInstallation()
         if (!isOnedriveInstalled) {
-            const errorMsg = 'OneDrive ist nicht installiert. Bitte installieren Sie es zuerst.'
             console.error('OneDrive not installed')
-            event.sender.send('auth-result', { status: 'error', message: errorMsg })
+            uiSend('auth-result', { status: 'error', key: 'common.notInstalled', profileId: profile.id })
             settleAuthRun(authRun)
             return { status: 'failed', reason: 'onedrive-not-installed' }
         }
 
-        console.log('Creating auth directory:', ONEDRIVE_AUTH_DIR)
+        console.log('Creating auth directory:', paths.authDir)
         // Erstelle Auth-Verzeichnis
-        await fs.mkdir(ONEDRIVE_AUTH_DIR, { recursive: true })
+        await fs.mkdir(paths.authDir, { recursive: true })
         // Erstelle OneDrive Konfiguration falls nicht vorhanden
-        await ensureOnedriveConfig()
+        await ensureOnedriveConfig(profile)
+
+        // Im Standardbrowser: Listener vor dem Client starten, seine Adresse ist die redirect_uri des Clients
+        const mode = settings.get('authMode') === 'browser' ? 'browser' : 'window'
+        let redirectUri = null
+        if (mode === 'browser') {
+            try {
+                authRun.listener = createLoopbackListener()
+                redirectUri = await authRun.listener.listen()
+            } catch (e) {
+                console.warn('Loopback listener failed, the redirect address has to be pasted:', e?.message)
+                authRun.listener = null
+            }
+        }
+        await setClientRedirectUri(profile, redirectUri)
         
         // Lösche alte Auth-Dateien
         try {
-            await fs.unlink(ONEDRIVE_REQUEST_FILE)
-            await fs.unlink(ONEDRIVE_RESPONSE_FILE)
+            await fs.unlink(paths.requestFile)
+            await fs.unlink(paths.responseFile)
             console.log('Cleared old auth files')
         } catch (e) {
             console.log('No old auth files to clear')
         }
     
     console.log('Starting onedrive process...')
-    // Starte OneDrive Auth-Prozess
+    // Starte OneDrive Auth-Prozess. Vor dem ersten Sync oder mit ausstehender Vorschau
+    // nur anmelden (--display-sync-status), damit nichts ohne Bestätigung synchronisiert wird.
+    const needsPreview = !profile.lastSyncAt || !!profile.previewPending
     onedriveProcess = spawn('onedrive', [
-      '--confdir', ONEDRIVE_CONFIG_DIR,
-      '--sync',
+      '--confdir', paths.confdir,
+      needsPreview ? '--display-sync-status' : '--sync',
       '--reauth',
-      '--auth-files', `${ONEDRIVE_REQUEST_FILE}:${ONEDRIVE_RESPONSE_FILE}`
+      '--auth-files', `${paths.requestFile}:${paths.responseFile}`
     ])
     
     onedriveProcess.on('error', (err) => {
-      failAuthFlow('OneDrive Prozess konnte nicht gestartet werden', err, authRun)
+      failAuthFlow('auth.spawnFailed', err, authRun)
     })
     onedriveProcess.on('exit', (code, signal) => {
       onedriveProcess = null
       if (signal === 'SIGTERM' || signal === 'SIGKILL') return
       if (code !== 0) {
-        failAuthFlow(`OneDrive Authentifizierung fehlgeschlagen (Code ${code})`, undefined, authRun)
+        failAuthFlow('auth.exitCode', undefined, authRun, { code })
       }
     })
     
@@ -206,145 +364,569 @@ ipcMain.handle('start-onedrive-auth', async (event) => {
     
     console.log('Waiting for auth URL...')
     // Warte auf Auth-URL
-    const authUrl = await waitForAuthUrl()
+    const authUrl = await waitForAuthUrl(paths.requestFile)
     console.log('Auth URL received:', authUrl)
     
-    // Öffne Auth-Fenster
-    await openAuthWindow(authUrl, authRun)
-    console.log('Auth window opened')
+    // Anmeldung im eingebetteten Fenster oder im Standardbrowser
+    if (mode === 'browser') {
+      await openAuthInBrowser(authUrl, authRun)
+    } else {
+      await openAuthWindow(authUrl, authRun)
+    }
+    console.log('Auth started in', mode)
     
-    return { status: 'auth-started', url: authUrl }
+    return { status: 'auth-started', url: authUrl, mode }
   } catch (e) {
     console.error('OneDrive auth error:', e.message)
-    await failAuthFlow('OneDrive Authentifizierung fehlgeschlagen', e)
-    event.sender.send('auth-result', { status: 'error', message: e.message })
+    await failAuthFlow('auth.failed', e)
     return { status: 'failed' }
   }
-})
+}
 
 // One-Time Synchronize on demand
-ipcMain.handle('force-sync', async () => {
+handleIpc('force-sync', async (_event, profileId) => {
+  const profile = profiles.get(profileId || DEFAULT_PROFILE_ID)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  return runOneShotSync(profile)
+})
+
+// Vollständigen Abgleich (--resync) ausführen, z. B. nach Änderung der sync_list
+handleIpc('resync', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  return runOneShotSync(profile, { resync: true })
+})
+
+// Einmaliger Sync: Monitor stoppen → onedrive --sync → Monitor wieder starten
+// confirmed: Aufruf nach bestätigter Vorschau (siehe confirm-sync)
+async function runOneShotSync(profile, { resync = false, confirmed = false } = {}) {
+  const paths = profilePaths(profile)
+  const kind = resync ? 'sync.resync' : 'sync.oneShot' // Schlüssel-Präfix für die Meldungen
   try {
     // 0) Prüfe zuerst, ob OneDrive installiert ist
     const isOnedriveInstalled = await checkOnedriveInstallation()
     if (!isOnedriveInstalled) {
-      const errorMsg = 'OneDrive ist nicht installiert. Bitte installieren Sie es zuerst.'
-      win?.webContents?.send('sync-result', { status: 'error', message: errorMsg })
+      uiSend('sync-result', { status: 'error', key: 'common.notInstalled', profileId: profile.id })
       return { status: 'failed', reason: 'onedrive-not-installed' }
     }
 
     // 1) Prüfe, ob ein Token vorhanden ist
-    const tokenPath = path.join(ONEDRIVE_CONFIG_DIR, 'refresh_token')
-    const hasToken = fssync.existsSync(tokenPath)
+    const hasToken = fssync.existsSync(paths.tokenFile)
     
     if (!hasToken) {
-      const errorMsg = 'Kein OneDrive Token gefunden – bitte zuerst authentifizieren'
-      win?.webContents?.send('sync-result', { status: 'error', message: errorMsg })
+      uiSend('sync-result', { status: 'error', key: 'sync.noToken', profileId: profile.id })
       return { status: 'failed', reason: 'no-token' }
     }
 
-    // 1) Monitor (falls laufend) kurz stoppen
-    const wasRunning = await stopOnedriveMonitorGracefully()
-    if (wasRunning) {
-      win?.webContents?.send('sync-result', { status: 'info', message: 'Monitor gestoppt – führe Sofort-Sync aus' })
+    if (profiles.get(profile.id)?.tokenInvalid) {
+      uiSend('sync-result', { status: 'error', key: 'auth.tokenInvalid', profileId: profile.id })
+      return { status: 'failed', reason: 'token-invalid' }
     }
 
-    // 2) Sofort-Sync ausführen
-    const p = spawn('onedrive', [
-      '--confdir', ONEDRIVE_CONFIG_DIR,
-      '--sync'
-    ])
+    if (migratingProfiles.has(profile.id)) {
+      uiSend('sync-result', { status: 'warning', key: 'folder.migrating', profileId: profile.id })
+      return { status: 'failed', reason: 'migrating' }
+    }
 
-    p.stdout?.on('data', (d) => {
-      const msg = d.toString()
-      console.log('Force sync stdout:', msg)
-      win?.webContents?.send('sync-result', { status: 'info', message: msg.trim() })
-    })
-    p.stderr?.on('data', (d) => {
-      const msg = d.toString()
-      console.log('Force sync stderr:', msg)
-      win?.webContents?.send('sync-result', { status: 'warning', message: msg.trim() })
-    })
+    // Vor dem ersten Sync und nach Änderungen an Auswahl/Einstellungen erst die Vorschau bestätigen
+    if (!confirmed && profiles.get(profile.id)?.previewPending) {
+      uiSend('sync-result', { status: 'warning', key: 'preview.required', profileId: profile.id })
+      uiSend('preview-required', { profileId: profile.id })
+      return { status: 'failed', reason: 'preview-required' }
+    }
 
-    const syncOk = await new Promise((resolve) => {
-      p.on('exit', (code) => {
-        if (code === 0) {
-          win?.webContents?.send('sync-result', { status: 'success', message: 'Einmaliger Sync abgeschlossen' })
-          resolve(true)
-        } else {
-          win?.webContents?.send('sync-result', { status: 'error', message: `Einmaliger Sync fehlgeschlagen (Code ${code})` })
-          resolve(false)
-        }
+    // Ohne --resync verweigert der Client nach geänderter sync_list/Config die Arbeit
+    if (!resync && profiles.get(profile.id)?.resyncPending) {
+      uiSend('sync-result', { status: 'warning', key: 'sync.resyncRequired', profileId: profile.id })
+      return { status: 'failed', reason: 'resync-required' }
+    }
+
+    // 1) Monitor (falls laufend) über den Supervisor kurz stoppen, 2) Sofort-Sync ausführen
+    let wasRunning = false
+    const syncOk = await getSupervisor(profile).runExclusive(async (wasActive) => {
+      wasRunning = wasActive
+      if (wasRunning) {
+        uiSend('sync-result', { status: 'info', key: `${kind}.monitorStopped`, profileId: profile.id })
+      }
+
+      const args = ['--confdir', paths.confdir, '--sync']
+      if (resync) args.push('--resync', '--resync-auth')
+      const p = spawn('onedrive', args)
+      attachClientOutput(p, profile, 'Force sync')
+
+      return new Promise((resolve) => {
+        p.on('error', () => resolve(false))
+        p.on('exit', (code) => {
+          if (code === 0) {
+            uiSend('sync-result', { status: 'success', key: `${kind}.done`, profileId: profile.id })
+            resolve(true)
+          } else {
+            uiSend('sync-result', { status: 'error', key: `${kind}.failed`, params: { code }, profileId: profile.id }, 'sync-failed')
+            resolve(false)
+          }
+        })
       })
     })
 
+    if (syncOk) {
+      profiles.update(profile.id, { lastSyncAt: Date.now() })
+    }
+    if (resync && syncOk) {
+      profiles.update(profile.id, { resyncPending: false, syncListHash: hashSyncList(await readSyncList(profile)) })
+      notifyProfilesChanged()
+    }
+
     // 3) Monitor wieder starten, wenn er vorher lief oder wenn Sync erfolgreich war
     if (wasRunning || syncOk) {
-      startOnedriveMonitor()
+      startOnedriveMonitor(profiles.get(profile.id))
     }
     return { status: syncOk ? 'ok' : 'failed' }
   } catch (e) {
-    const m = e?.message || 'Unbekannter Fehler bei force-sync'
-    console.error('force-sync error:', m)
-    win?.webContents?.send('sync-result', { status: 'error', message: m })
+    console.error('force-sync error:', e?.message)
+    uiSend('sync-result', e?.message ? { status: 'error', message: e.message, profileId: profile.id } : { status: 'error', key: 'sync.unknownError', profileId: profile.id })
     return { status: 'failed' }
   }
-})
-
-// Monitor sanft stoppen (TERM, dann Timeout, dann KILL). Lief er? → true/false
-function stopOnedriveMonitorGracefully() {
-  return new Promise((resolve) => {
-    if (!onedriveMonitorProcess || typeof onedriveMonitorProcess.pid !== 'number') {
-      return resolve(false)
-    }
-    const pid = onedriveMonitorProcess.pid
-    let resolved = false
-    const done = (result) => { if (!resolved) { resolved = true; resolve(result) } }
+}
 
-    try { process.kill(pid, 'SIGTERM') } catch { done(false); return }
+// Einstellungen, nach deren Änderung vor dem nächsten Sync eine Vorschau nötig ist (zusätzlich zu RESYNC_KEYS)
+const PREVIEW_KEYS = ['upload_only', 'download_only', 'skip_size']
 
-    const timeout = setTimeout(() => {
-      try { process.kill(pid, 'SIGKILL') } catch {}
-      onedriveMonitorProcess = null
-      win?.webContents?.send('sync-result', { status: 'warning', message: 'Monitor musste zwangsweise beendet werden' })
-      done(true)
-    }, 3000)
-
-    onedriveMonitorProcess.once('exit', () => {
-      clearTimeout(timeout)
-      onedriveMonitorProcess = null
-      done(true)
+// Vorschau: Dry-Run mit den geplanten Uploads, Downloads und Löschungen (Monitor wird solange angehalten)
+handleIpc('preview-sync', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  if (!(await checkOnedriveInstallation())) {
+    return { status: 'failed', reason: 'onedrive-not-installed' }
+  }
+  if (!fssync.existsSync(profilePaths(profile).tokenFile)) {
+    return { status: 'failed', reason: 'no-token' }
+  }
+  if (migratingProfiles.has(profile.id)) {
+    return { status: 'failed', reason: 'migrating' }
+  }
+  const resync = !!profile.resyncPending
+  try {
+    let wasRunning = false
+    const plan = await getSupervisor(profile).runExclusive(async (wasActive) => {
+      wasRunning = wasActive
+      uiSend('sync-result', { status: 'info', key: resync ? 'preview.creatingResync' : 'preview.creating', profileId: profile.id })
+      return runDryRun(profile, {
+        resync,
+        onLine: (line) => {
+          const event = parseOutputLine(line)
+          if (event?.type === 'auth-failed') markTokenInvalid(profile, event)
+        }
+      })
     })
-    onedriveMonitorProcess.once('close', () => {
-      clearTimeout(timeout)
-      onedriveMonitorProcess = null
-      done(true)
+    if (wasRunning) startOnedriveMonitor(profiles.get(profile.id))
+
+    const threshold = profile.deleteThreshold ?? DEFAULT_DELETE_THRESHOLD
+    const deletions = plan.totals.deleteLocal + plan.totals.deleteRemote
+    const exceeded = deletions > threshold
+    const id = `${Date.now().toString(36)}-${profile.id}`
+    syncPreviews.set(profile.id, { id, resync })
+    uiSend('sync-result', {
+      status: exceeded ? 'warning' : 'info',
+      key: exceeded ? 'preview.summaryExceeded' : 'preview.summary',
+      params: { upload: plan.totals.upload, download: plan.totals.download, deletions, threshold },
+      profileId: profile.id
     })
-  })
+    // Sehr lange Listen kürzen, die Summen bleiben vollständig
+    const cap = (list) => list.slice(0, 2000)
+    return { status: 'ok', id, resync, threshold, exceeded, plan: { ...plan, uploads: cap(plan.uploads), downloads: cap(plan.downloads), deletions: cap(plan.deletions) } }
+  } catch (e) {
+    console.error('preview-sync error:', e?.message)
+    uiSend('sync-result', e?.message ? { status: 'error', message: e.message, profileId: profile.id } : { status: 'error', key: 'preview.failed', profileId: profile.id })
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Bestätigte Vorschau ausführen (nur die zuletzt erstellte Vorschau des Profils)
+handleIpc('confirm-sync', async (_event, profileId, previewId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  const preview = syncPreviews.get(profile.id)
+  if (!preview || preview.id !== previewId) {
+    return { status: 'failed', reason: 'preview-outdated' }
+  }
+  syncPreviews.delete(profile.id)
+  profiles.update(profile.id, { previewPending: false })
+  uiSend('sync-result', { status: 'info', key: 'preview.confirmed', profileId: profile.id })
+  notifyProfilesChanged()
+  return runOneShotSync(profiles.get(profile.id), { resync: preview.resync || !!profiles.get(profile.id).resyncPending, confirmed: true })
+})
+
+// Monitor sanft über den Supervisor stoppen (TERM, dann Timeout, dann KILL). Lief er? → true/false
+// options.disable: systemd-Dienst auch deaktivieren (nicht bei vorübergehenden Stopps)
+async function stopOnedriveMonitorGracefully(profile, options) {
+  const supervisor = supervisors.get(profile.id)
+  if (!supervisor) return false
+  return supervisor.stop(options)
+}
+
+// Monitor manuell (neu) starten, z. B. nach einem Absturz
+handleIpc('start-monitor', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  if (!fssync.existsSync(profilePaths(profile).tokenFile)) {
+    return { status: 'failed', reason: 'no-token' }
+  }
+  await restartMonitor(profile)
+  return { status: 'ok' }
+})
+
+// Monitor (Kindprozess oder systemd-Dienst) stoppen und neu starten
+async function restartMonitor(profile) {
+  await stopOnedriveMonitorGracefully(profile)
+  startOnedriveMonitor(profiles.get(profile.id) || profile)
+}
+
+// Protokoll seitenweise lesen (Filter: level, text, profileId, from, to)
+function logFilter(input = {}) {
+  const filter = {}
+  if (LOG_LEVELS.includes(input.level)) filter.level = input.level
+  if (typeof input.text === 'string' && input.text.trim()) filter.text = input.text.trim().slice(0, 200)
+  if (typeof input.profileId === 'string' && profiles.get(input.profileId)) filter.profileId = input.profileId
+  if (Number.isFinite(input.from)) filter.from = input.from
+  if (Number.isFinite(input.to)) filter.to = input.to
+  return filter
 }
 
+handleIpc('query-log', async (_event, input = {}) => {
+  if (!isPlainObject(input)) {
+    return { entries: [], total: 0 }
+  }
+  const offset = Number.isInteger(input.offset) && input.offset >= 0 ? input.offset : 0
+  const limit = Number.isInteger(input.limit) ? Math.min(Math.max(input.limit, 1), 500) : 100
+  return syncLog.query({ ...logFilter(input), offset, limit })
+})
+
+// Zeitraum des Protokolls als Datei exportieren (für Support-Anfragen)
+handleIpc('export-log', async (_event, input = {}) => {
+  if (!isPlainObject(input)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  try {
+    const { text, count } = await syncLog.exportText(logFilter(input))
+    if (count === 0) {
+      return { status: 'failed', reason: 'empty' }
+    }
+    const stamp = new Date().toISOString().slice(0, 10)
+    const { canceled, filePath } = await dialog.showSaveDialog(win, {
+      title: t('log.exportTitle'),
+      defaultPath: path.join(app.getPath('downloads'), `onedrive-sync-log-${stamp}.txt`),
+      filters: [{ name: 'Text', extensions: ['txt', 'log'] }]
+    })
+    if (canceled || !filePath) {
+      return { status: 'canceled' }
+    }
+    await fs.writeFile(filePath, text, 'utf8')
+    return { status: 'ok', path: filePath, count }
+  } catch (e) {
+    console.error('export-log error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
 // Token-Status für UI abfragen
-ipcMain.handle('check-token', async () => {
+handleIpc('check-token', async (_event, profileId) => {
   try {
-    const tokenPath = path.join(ONEDRIVE_CONFIG_DIR, 'refresh_token')
-    const hasToken = fssync.existsSync(tokenPath)
-    return { hasToken }
+    const profile = profiles.get(profileId || DEFAULT_PROFILE_ID)
+    const hasToken = !!profile && fssync.existsSync(profilePaths(profile).tokenFile)
+    // Die Datei allein sagt nichts: abgelaufene oder widerrufene Tokens erkennt erst der Client
+    return { hasToken, valid: hasToken && !profile.tokenInvalid, invalid: profile?.tokenInvalid || null }
   } catch {
-    return { hasToken: false }
+    return { hasToken: false, valid: false, invalid: null }
+  }
+})
+
+// Profilliste inkl. Status für die UI
+function profileStatus(profile) {
+  let hasToken = false
+  try { hasToken = fssync.existsSync(profilePaths(profile).tokenFile) } catch {}
+  return {
+    id: profile.id,
+    name: profile.name,
+    confdir: profile.confdir,
+    syncDir: profile.syncDir,
+    library: profile.library || null, // SharePoint-Bibliothek: { parentId, siteName, libraryName, driveId, url }
+    hasToken,
+    tokenInvalid: !!profile.tokenInvalid,
+    monitorRunning: !!supervisors.get(profile.id)?.isActive(),
+    monitorState: supervisors.get(profile.id)?.state || 'stopped',
+    monitorDetail: supervisors.get(profile.id)?.detail || {},
+    service: settings.get('monitorMode') === 'systemd' ? serviceUnitName(profile.id) : null,
+    lastSyncAt: profile.lastSyncAt || null,
+    paused: pauseReasons.size > 0,
+    pausedManually: pauseReasons.has('manual'),
+    pauseLabel: pauseReasonText(),
+    resyncPending: !!profile.resyncPending,
+    previewPending: !!profile.previewPending,
+    migrating: migratingProfiles.has(profile.id),
+    conflicts: conflicts.count(profile.id),
+    authInProgress: activeAuthRun?.profile?.id === profile.id
+  }
+}
+
+function notifyProfilesChanged() {
+  uiSend('profiles-changed', profiles.list().map(profileStatus))
+  updateTrayStatus()
+}
+
+handleIpc('list-profiles', async () => {
+  return profiles.list().map(profileStatus)
+})
+
+handleIpc('add-profile', async (_event, name) => {
+  if (typeof name !== 'string' || name.length > 100) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  try {
+    const profile = profiles.add(name)
+    notifyProfilesChanged()
+    return { status: 'ok', profile: profileStatus(profile) }
+  } catch (e) {
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Profil entfernen: Monitor stoppen, von der App angelegte Konfiguration löschen. Synchronisierte Dateien bleiben erhalten.
+// Bibliotheksprofile hängen am Token dieses Kontos und werden mit entfernt.
+handleIpc('remove-profile', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  const libraries = libraryProfilesOf(profile)
+  if ([profile, ...libraries].some((p) => activeAuthRun?.profile?.id === p.id)) {
+    return { status: 'failed', reason: 'auth-in-progress' }
+  }
+  try {
+    for (const library of libraries) await removeProfile(library)
+    await removeProfile(profile)
+    notifyProfilesChanged()
+    return { status: 'ok' }
+  } catch (e) {
+    console.error('remove-profile error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+async function removeProfile(profile) {
+  await stopOnedriveMonitorGracefully(profile)
+  supervisors.get(profile.id)?.dispose?.()
+  supervisors.delete(profile.id)
+  await removeServiceUnit(profile.id)
+  conflicts.clear(profile.id)
+  activity.clear(profile.id)
+  quotas.delete(profile.id)
+  profiles.remove(profile.id)
+  if (profile.managed) {
+    await fs.rm(profile.confdir, { recursive: true, force: true })
+  }
+  uiSend('auth-result', { status: 'info', key: 'profiles.removed', params: { name: profile.name } })
+}
+
+// Abmelden: Monitor stoppen, Client abmelden, Token/Auth-Dateien und Cookies löschen.
+// localFiles: 'keep' | 'archive' (Ordner umbenennen) | 'trash' (in den Papierkorb)
+const SIGN_OUT_FILE_ACTIONS = ['keep', 'archive', 'trash']
+
+// Daten des bisherigen Kontos im Konfigurationsordner (Config und sync_list bleiben erhalten)
+async function clearClientAccountData(profile) {
+  const paths = profilePaths(profile)
+  await fs.rm(paths.tokenFile, { force: true })
+  await fs.rm(paths.authDir, { recursive: true, force: true })
+  // Datenbank des Clients gehört zum alten Konto
+  let names = []
+  try { names = await fs.readdir(paths.confdir) } catch {}
+  for (const name of names.filter((n) => /^items(?:-dryrun)?\.sqlite3(?:-wal|-shm)?$/.test(n))) {
+    await fs.rm(path.join(paths.confdir, name), { force: true })
+  }
+}
+
+// Freier Name für den archivierten Sync-Ordner (z. B. ~/OneDrive-abgemeldet-2024-05-01, je nach Sprache)
+async function archivePathFor(syncDir) {
+  const base = `${syncDir}-${t('auth.signedOut.archiveName', { date: new Date().toISOString().slice(0, 10) })}`
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? base : `${base}-${n}`
+    try { await fs.access(candidate) } catch { return candidate }
+  }
+}
+
+handleIpc('sign-out', async (_event, profileId, options = {}) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  const localFiles = isPlainObject(options) ? options.localFiles ?? 'keep' : null
+  if (!SIGN_OUT_FILE_ACTIONS.includes(localFiles)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  if (activeAuthRun?.profile?.id === profile.id) {
+    return { status: 'failed', reason: 'auth-in-progress' }
+  }
+  // Bibliotheksprofile arbeiten mit einer Kopie des Tokens dieses Kontos → mit abmelden
+  const libraries = libraryProfilesOf(profile)
+  if ([profile, ...libraries].some((p) => migratingProfiles.has(p.id))) {
+    return { status: 'failed', reason: 'migrating' }
+  }
+  try {
+    for (const library of libraries) {
+      const result = await signOutProfile(library, localFiles)
+      uiSend('auth-result', { status: 'info', key: result.key, params: { path: result.archivedTo }, profileId: library.id })
+    }
+    const { key, archivedTo } = await signOutProfile(profile, localFiles)
+    uiSend('auth-result', { status: 'info', key, params: { path: archivedTo }, profileId: profile.id })
+    notifyProfilesChanged()
+    return { status: 'ok', archivedTo }
+  } catch (e) {
+    console.error('sign-out error:', e?.message)
+    uiSend('auth-result', { status: 'error', key: 'auth.signOutFailed', params: { error: e?.message }, profileId: profile.id })
+    notifyProfilesChanged()
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Ein Profil abmelden → { key, archivedTo } für die Meldung in der UI
+async function signOutProfile(profile, localFiles) {
+  await stopOnedriveMonitorGracefully(profile, { disable: true })
+
+  // 1) Client abmelden (entfernt sein Token); fehlt der Client, reicht das Löschen der Dateien
+  const logout = await runCommand('onedrive', ['--confdir', profile.confdir, '--logout'], { timeoutMs: 30000 })
+  if (logout.code !== 0) {
+    console.warn(`Logout [${profile.id}] failed:`, logout.error?.message || logout.stderr.trim() || logout.code)
+  }
+  await clearClientAccountData(profile)
+
+  // 2) Cookies und Speicher der Anmelde-Partition löschen, sonst meldet Microsoft das alte Konto automatisch an
+  const authSession = session.fromPartition(authPartition(profile))
+  await authSession.clearStorageData()
+  await authSession.clearCache()
+
+  // 3) Lokale Dateien des alten Kontos
+  let archivedTo = null
+  let resultKey = 'auth.signedOut.keep'
+  if (localFiles !== 'keep' && !fssync.existsSync(profile.syncDir)) {
+    resultKey = 'auth.signedOut.noFolder'
+  } else if (localFiles === 'archive') {
+    archivedTo = await archivePathFor(profile.syncDir)
+    await fs.rename(profile.syncDir, archivedTo)
+    resultKey = 'auth.signedOut.archived'
+  } else if (localFiles === 'trash') {
+    await shell.trashItem(profile.syncDir)
+    resultKey = 'auth.signedOut.trashed'
+  }
+
+  // Nächste Anmeldung wie beim ersten Mal: erst Vorschau, dann Sync
+  profiles.update(profile.id, { lastSyncAt: null, previewPending: false, resyncPending: false, tokenInvalid: null })
+  syncPreviews.delete(profile.id)
+  progressTrackers.delete(profile.id)
+  supervisors.get(profile.id)?.markFailed('stopped')
+  if (localFiles === 'keep') await scanProfileConflicts(profile)
+  else conflicts.clear(profile.id)
+  activity.clear(profile.id)
+  quotas.delete(profile.id)
+
+  return { key: resultKey, archivedTo }
+}
+
+// Selektive Synchronisation: aktuell gewählte Ordner der sync_list
+handleIpc('get-sync-list', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  const { folders, other } = parseSyncList(await readSyncList(profile))
+  return { status: 'ok', folders, hasCustomRules: other.some((line) => !line.trim().startsWith('#')) }
+})
+
+// Remote-Ordnerstruktur vom Client abfragen (kann bei großen Laufwerken dauern)
+handleIpc('list-remote-folders', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  if (!fssync.existsSync(profilePaths(profile).tokenFile)) {
+    return { status: 'failed', reason: 'no-token' }
+  }
+  if (migratingProfiles.has(profile.id)) {
+    return { status: 'failed', reason: 'migrating' }
+  }
+  try {
+    // Dry-Run im echten Profil: Monitor solange anhalten (wie bei der Vorschau)
+    let wasRunning = false
+    const folders = await getSupervisor(profile).runExclusive(async (wasActive) => {
+      wasRunning = wasActive
+      return listRemoteFolders(profile)
+    })
+    if (wasRunning) startOnedriveMonitor(profiles.get(profile.id))
+    return { status: 'ok', folders }
+  } catch (e) {
+    console.error('list-remote-folders error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Neue Ordnerauswahl speichern; eine Änderung verlangt ein --resync
+handleIpc('save-sync-list', async (_event, profileId, selected) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  if (!Array.isArray(selected) || selected.length > 10000 || selected.some((f) => typeof f !== 'string' || f.length > 4096)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  try {
+    const previous = await readSyncList(profile)
+    const content = buildSyncList(selected, parseSyncList(previous).other)
+    if ((content ?? '') === previous) {
+      return { status: 'ok', changed: false }
+    }
+    await writeSyncList(profile, content)
+    profiles.update(profile.id, { resyncPending: true, previewPending: true })
+    uiSend('sync-result', { status: 'warning', key: 'syncList.changed', profileId: profile.id })
+    notifyProfilesChanged()
+    return { status: 'ok', changed: true }
+  } catch (e) {
+    console.error('save-sync-list error:', e?.message)
+    return { status: 'failed', message: e?.message }
   }
 })
 
+// sync_list außerhalb der App geändert? Dann ebenfalls --resync verlangen
+async function detectSyncListChanges() {
+  for (const profile of profiles.list()) {
+    const hash = hashSyncList(await readSyncList(profile))
+    if (profile.syncListHash === undefined) {
+      profiles.update(profile.id, { syncListHash: hash })
+    } else if (profile.syncListHash !== hash && !profile.resyncPending) {
+      profiles.update(profile.id, { resyncPending: true })
+      uiSend('sync-result', { status: 'warning', key: 'syncList.changedExternally', profileId: profile.id })
+    }
+  }
+}
+
 // Auth-URL aus Datei lesen
-async function waitForAuthUrl() {
+async function waitForAuthUrl(requestFile) {
   return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
-      reject(new Error('Timeout: Keine Auth-URL erhalten'))
+      reject(new Error(t('auth.urlTimeout')))
     }, 120000) // 120 Sekunden Timeout
     
     const checkFile = async () => {
       try {
-        if (fssync.existsSync(ONEDRIVE_REQUEST_FILE)) {
-          const content = await fs.readFile(ONEDRIVE_REQUEST_FILE, 'utf8')
+        if (fssync.existsSync(requestFile)) {
+          const content = await fs.readFile(requestFile, 'utf8')
           if (content.trim()) {
             clearTimeout(timeout)
             resolve(content.trim())
@@ -369,14 +951,14 @@ async function openAuthWindow(authUrl, run = activeAuthRun) {
     }
     
     authWindow = new BrowserWindow({
-            title: 'OneDrive Authentifizierung',
+            title: `${t('app.title')} – ${run?.profile?.name || 'OneDrive'}`,
             width: 800,
             height: 600,
             webPreferences: {
             nodeIntegration: false,
             contextIsolation: true,
             sandbox: false,
-            partition: 'persist:onedrive-auth'
+            partition: authPartition(run.profile)
         }
     })
   
@@ -385,6 +967,7 @@ async function openAuthWindow(authUrl, run = activeAuthRun) {
   try { authWindow.webContents.setUserAgent(userAgent) } catch {}
   
   let redirectHandled = false
+  let fellBack = false // Anmeldung läuft im Browser weiter
   const initialAuthUrl = String(authUrl)
 
   // Hilfsfunktion: Erkennen, ob es sich um die Redirect-URL handelt
@@ -409,6 +992,23 @@ async function openAuthWindow(authUrl, run = activeAuthRun) {
     }
   }
 
+  // Seite lädt nicht (z. B. Conditional Access, Netzwerk) → im Standardbrowser weitermachen
+  const fallbackToBrowser = (reason) => {
+    if (redirectHandled || fellBack || run.settled) return
+    fellBack = true
+    console.warn('Auth window failed, falling back to the system browser:', reason)
+    uiSend('auth-result', { status: 'warning', key: 'auth.windowFallback', params: { reason }, profileId: run.profile.id })
+    const failedWindow = authWindow
+    authWindow = null
+    try { failedWindow?.close() } catch {}
+    openAuthInBrowser(initialAuthUrl, run).catch((e) => failAuthFlow('auth.browserFailed', e, run))
+  }
+
+  authWindow.webContents.on('did-fail-load', (_event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    // -3 (ERR_ABORTED) entsteht bei jeder Weiterleitung, die Redirect-URL selbst muss nicht laden
+    if (!isMainFrame || errorCode === -3 || isRedirectUrl(validatedURL)) return
+    fallbackToBrowser(errorDescription || t('auth.loadError', { code: errorCode }))
+  })
   authWindow.webContents.on('will-navigate', (_event, url) => tryHandle(url))
   authWindow.webContents.on('will-redirect', (_event, url) => tryHandle(url))
   authWindow.webContents.on('did-navigate', (_event, url) => tryHandle(url))
@@ -417,170 +1017,1551 @@ async function openAuthWindow(authUrl, run = activeAuthRun) {
     tryHandle(url)
     return { action: 'deny' }
   })
-  authWindow.once('closed', () => {
-    authWindow = null
-    if (run && !run.settled) {
-      failAuthFlow('Authentifizierung wurde abgebrochen', undefined, run)
+  const window = authWindow
+  window.once('closed', () => {
+    if (authWindow === window) authWindow = null
+    if (run && !run.settled && !fellBack) {
+      failAuthFlow('auth.canceled', undefined, run)
     }
   })
   
   // Load URL with UA and handle load failures by retrying once
   try {
-    await authWindow.loadURL(authUrl, { userAgent })
+    await window.loadURL(authUrl, { userAgent })
   } catch (e) {
     console.warn('Initial load failed, retrying with custom UA:', e?.message)
-    try { await authWindow.loadURL(authUrl, { userAgent }) } catch {}
+    try {
+      if (!window.isDestroyed() && !fellBack) await window.loadURL(authUrl, { userAgent })
+    } catch (retryError) {
+      fallbackToBrowser(retryError?.message || t('auth.loadFailed'))
+    }
   }
   
   // Zeige Fenster
-  if (authWindow && !authWindow.isDestroyed() && !redirectHandled) {
-    authWindow.show()
+  if (authWindow === window && !window.isDestroyed() && !redirectHandled) {
+    window.show()
+  }
+}
+
+// redirect_uri des Clients setzen (Listener der Browser-Anmeldung) bzw. entfernen (Standard des Clients)
+async function setClientRedirectUri(profile, redirectUri) {
+  const doc = await readOnedriveConfig(profile)
+  if ((getValue(doc, REDIRECT_URI_KEY) ?? null) === redirectUri) return
+  setValue(doc, REDIRECT_URI_KEY, redirectUri)
+  await writeOnedriveConfig(profile, doc)
+}
+
+// Anmeldung im Standardbrowser (browser-auth.js): Weiterleitung über den Listener empfangen.
+// Zeigt die Authorize-URL nicht auf ihn (Wechsel aus dem Fenster, Listener nicht gestartet), fügt der Benutzer die Adresse ein.
+async function openAuthInBrowser(authUrl, run = activeAuthRun) {
+  const target = authRedirectTarget(authUrl)
+  if (!target) throw new Error(t('auth.response.noRedirectUri'))
+  run.browser = target
+  const listener = run.listener
+  if (listener && target.redirectUri === listener.redirectUri) {
+    listener.expectState(target.state)
+    await shell.openExternal(authUrl)
+    uiSend('auth-result', { status: 'info', key: 'auth.browserOpened', profileId: run.profile.id })
+    uiSend('auth-response-required', { profileId: run.profile.id, waiting: true })
+    listener.wait().then(
+      (redirectUrl) => { if (!run.settled) handleAuthRedirect(redirectUrl, run) },
+      (e) => { if (!run.settled) failAuthFlow('auth.browserError', undefined, run, { error: e.message }) }
+    )
+    return
+  }
+  listener?.close()
+  run.listener = null
+  await shell.openExternal(authUrl)
+  uiSend('auth-result', { status: 'info', key: 'auth.browserOpenedPaste', profileId: run.profile.id })
+  uiSend('auth-response-required', { profileId: run.profile.id, waiting: false })
+}
+
+function browserAuthRun(profileId) {
+  const run = activeAuthRun
+  return run && !run.settled && run.browser && run.profile.id === profileId ? run : null
+}
+
+handleIpc('submit-auth-response', async (_event, profileId, input) => {
+  if (typeof profileId !== 'string' || typeof input !== 'string') {
+    return { status: 'failed', reason: 'invalid-payload' }
   }
+  const run = browserAuthRun(profileId)
+  if (!run || run.listener) return { status: 'failed', reason: 'no-auth-run' }
+  const response = parseBrowserResponse(input, { redirectUri: run.browser.redirectUri, state: run.browser.state })
+  if (!response.ok) return { status: 'invalid', message: t(response.key) }
+  await handleAuthRedirect(response.url, run)
+  return { status: 'ok' }
+})
+
+handleIpc('cancel-auth', async (_event, profileId) => {
+  const run = browserAuthRun(profileId)
+  if (run) await failAuthFlow('auth.canceled', undefined, run)
+  return { status: 'ok' }
+})
+
+// OneDrive Config eines Profils lesen (fehlende Datei → leeres Dokument)
+async function readOnedriveConfig(profile) {
+  let text = ''
+  try { text = await fs.readFile(profilePaths(profile).configFile, 'utf8') } catch { text = '' }
+  return parseConfig(text)
+}
+
+async function writeOnedriveConfig(profile, doc) {
+  const { confdir, configFile } = profilePaths(profile)
+  await fs.mkdir(confdir, { recursive: true })
+  await fs.writeFile(configFile, serializeConfig(doc), 'utf8')
 }
 
-// Minimalen OneDrive Config schreiben, damit onedrive nicht mit "missing --sync/--monitor" abbricht
-async function ensureOnedriveConfig() {
+// Minimalen OneDrive Config sicherstellen, damit onedrive nicht mit "missing --sync/--monitor" abbricht. Vorhandene Einträge bleiben erhalten.
+async function ensureOnedriveConfig(profile) {
+  const { configFile, syncDir } = profilePaths(profile)
   try {
-    await fs.mkdir(ONEDRIVE_CONFIG_DIR, { recursive: true })
-    let existing = ''
-    try { existing = await fs.readFile(ONEDRIVE_CONFIG_FILE, 'utf8') } catch { existing = '' }
-    const hasSyncDir = /\bsync_dir\b/.test(existing)
-    if (!hasSyncDir) {
-      const content = `sync_dir = "${ONEDRIVE_DEFAULT_SYNC_DIR}"
-sync_business_shared_items = "false"
-`
-      await fs.writeFile(ONEDRIVE_CONFIG_FILE, content, 'utf8')
-      console.log('Wrote minimal OneDrive config at', ONEDRIVE_CONFIG_FILE)
+    const doc = await readOnedriveConfig(profile)
+    const existingSyncDir = getValue(doc, 'sync_dir')
+    if (existingSyncDir === undefined) {
+      setValue(doc, 'sync_dir', syncDir)
+      await writeOnedriveConfig(profile, doc)
+      console.log('Wrote minimal OneDrive config at', configFile)
       // ensure local sync dir exists
-      try { await fs.mkdir(ONEDRIVE_DEFAULT_SYNC_DIR, { recursive: true }) } catch {}
+      try { await fs.mkdir(syncDir, { recursive: true }) } catch {}
     } else {
-      console.log('Using existing OneDrive config at', ONEDRIVE_CONFIG_FILE)
+      console.log('Using existing OneDrive config at', configFile)
+      const configured = expandHome(existingSyncDir)
+      if (configured !== profile.syncDir) profiles.update(profile.id, { syncDir: configured })
     }
   } catch (e) {
     console.warn('Could not ensure OneDrive config:', e?.message)
   }
 }
 
-// Auth-Redirect verarbeiten
-async function handleAuthRedirect(redirectUrl, run = activeAuthRun) {
+// Einstellungen eines Profils lesen
+handleIpc('get-settings', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  const doc = await readOnedriveConfig(profile)
+  const values = readSettings(doc)
+  values.sync_dir = getValue(doc, 'sync_dir') ?? profile.syncDir // Nur zur Anzeige, siehe set-sync-folder
+  values.delete_threshold = profile.deleteThreshold ?? DEFAULT_DELETE_THRESHOLD
+  return { status: 'ok', values }
+})
+
+// Einstellungen prüfen, in die Config schreiben und den Monitor neu starten
+handleIpc('save-settings', async (_event, profileId, input) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  if (!isPlainObject(input)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  // Den Sync-Ordner wechselt nur set-sync-folder (Monitor stoppen, Dateien verschieben, --resync)
+  if ('sync_dir' in input) {
+    return { status: 'invalid', errors: { sync_dir: t('settings.syncDirViaFolderDialog') } }
+  }
+  const { ok, errors, values } = validateSettings(input)
+  // App-Einstellung (nicht in der Client-Config): Warnschwelle für Löschungen in der Vorschau
+  const deleteThreshold = input && 'delete_threshold' in input ? Number(String(input.delete_threshold).trim()) : undefined
+  if (deleteThreshold !== undefined && (!Number.isInteger(deleteThreshold) || deleteThreshold < 0)) {
+    errors.delete_threshold = t('validation.integerMin0')
+  }
+  if (!ok || errors.delete_threshold) {
+    return { status: 'invalid', errors }
+  }
   try {
-    // Speichere Response-URL
-    await fs.writeFile(ONEDRIVE_RESPONSE_FILE, redirectUrl)
-    
-    // Schließe Auth-Fenster
-    if (authWindow) {
-      settleAuthRun(run)
-      authWindow.close()
-      authWindow = null
+    const thresholdChanged = deleteThreshold !== undefined && deleteThreshold !== (profile.deleteThreshold ?? DEFAULT_DELETE_THRESHOLD)
+    if (thresholdChanged) {
+      profiles.update(profile.id, { deleteThreshold })
     }
-    
-    // Benachrichtige Hauptfenster (intermediate success)
-    win?.webContents?.send('auth-result', { status: 'success', message: 'Authentifizierung erfolgreich abgeschlossen' })
-
-    const decideAfterExit = () => {
-      try {
-        const tokenExists = fssync.existsSync(path.join(ONEDRIVE_CONFIG_DIR, 'refresh_token'))
-        if (tokenExists) {
-          win?.webContents?.send('auth-result', { status: 'completed', message: 'OneDrive Authentifizierung abgeschlossen' })
-          startOnedriveMonitor()
-        } else {
-          win?.webContents?.send('auth-result', { status: 'error', message: 'OneDrive Authentifizierung fehlgeschlagen (kein Token gefunden)' })
-        }
-      } catch (e) {
-        win?.webContents?.send('auth-result', { status: 'error', message: 'Fehler bei Token-Prüfung' })
-      }
+    const doc = await readOnedriveConfig(profile)
+    const before = readSettings(doc)
+    const changed = Object.keys(values).filter((key) => values[key] !== before[key])
+    if (changed.length === 0) {
+      return { status: 'ok', changed: thresholdChanged ? ['delete_threshold'] : [] }
     }
-
-        // Warte auf OneDrive-Prozess; falls schon beendet, entscheide direkt
-        if (onedriveProcess) {
-        if (typeof onedriveProcess.exitCode === 'number') {
-            decideAfterExit()
-            } else {
-                onedriveProcess.once('exit', () => decideAfterExit())
-                onedriveProcess.once('close', () => decideAfterExit())
-            }
-        } else {
-         decideAfterExit()
-        }
-    } catch (e) {
-        console.error('Error handling auth redirect:', e.message)
-        await failAuthFlow('Fehler beim Verarbeiten der Authentifizierung', e, run)
+    for (const key of changed) {
+      setValue(doc, key, values[key])
     }
-}
+    await writeOnedriveConfig(profile, doc)
+    uiSend('sync-result', { status: 'info', key: 'settings.saved', params: { keys: changed.join(', ') }, profileId: profile.id })
+    return { status: 'ok', changed, ...(await applyConfigChanges(profile, changed)) }
+  } catch (e) {
+    console.error('save-settings error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
 
-// Cleanup beim Beenden
-app.on('before-quit', async () => {
-  isQuitting = true
-  if (onedriveProcess) {
-    onedriveProcess.kill()
+// Monitor neu starten, damit geänderte Config-Einträge greifen. Änderungen daran, was synchronisiert wird,
+// erst nach bestätigter Vorschau (bei Bedarf mit vollständigem Abgleich) übernehmen.
+async function applyConfigChanges(profile, changed) {
+  const needsResync = changed.some((key) => RESYNC_KEYS.includes(key))
+  const needsPreview = needsResync || changed.some((key) => PREVIEW_KEYS.includes(key))
+  const hasToken = fssync.existsSync(profilePaths(profile).tokenFile)
+  if (needsResync) {
+    profiles.update(profile.id, { resyncPending: true })
   }
-  if (onedriveMonitorProcess) {
-    onedriveMonitorProcess.kill()
+  if (needsPreview) {
+    profiles.update(profile.id, { previewPending: true })
+    await stopOnedriveMonitorGracefully(profile)
+    if (hasToken) {
+      uiSend('preview-required', { profileId: profile.id })
+    }
+  } else {
+    const wasRunning = await stopOnedriveMonitorGracefully(profile)
+    if (wasRunning || hasToken) {
+      startOnedriveMonitor(profiles.get(profile.id))
+    }
   }
-  if (authWindow) {
-    authWindow.close()
+  notifyProfilesChanged()
+  return { resync: needsResync, preview: needsPreview }
+}
+
+// Ausschlussregeln (skip_file, skip_dir, skip_dotfiles, skip_size) eines Profils lesen
+handleIpc('get-skip-rules', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
   }
-  try { tray?.destroy?.() } catch {}
+  return { status: 'ok', values: readSkipRules(await readOnedriveConfig(profile)), syncDir: profile.syncDir }
 })
 
-// OneDrive Monitor starten (einfacher Hintergrund-Sync)
-function startOnedriveMonitor() {
+// Regeln (noch ungespeichert) gegen den lokalen Sync-Ordner testen
+handleIpc('test-skip-rules', async (_event, profileId, input) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  if (!isPlainObject(input)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  const { ok, errors, values } = validateSkipRules(input)
+  if (!ok) {
+    return { status: 'invalid', errors }
+  }
+  try {
+    const { strictDirMatch } = readSkipRules(await readOnedriveConfig(profile))
+    const result = await testSkipRules(profile.syncDir, { ...values, strictDirMatch })
+    return { status: 'ok', ...result }
+  } catch (e) {
+    console.error('test-skip-rules error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Regeln in die Config schreiben (andere Einträge bleiben erhalten); der Client verlangt danach ein --resync
+handleIpc('save-skip-rules', async (_event, profileId, input) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  if (!isPlainObject(input)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  const { ok, errors, values } = validateSkipRules(input)
+  if (!ok) {
+    return { status: 'invalid', errors }
+  }
   try {
-    if (onedriveMonitorProcess) {
-      try { onedriveMonitorProcess.kill() } catch {}
-      onedriveMonitorProcess = null
+    const doc = await readOnedriveConfig(profile)
+    const changed = writeSkipRules(doc, values)
+    if (changed.length === 0) {
+      return { status: 'ok', changed }
     }
-    onedriveMonitorProcess = spawn('onedrive', [
-      '--confdir', ONEDRIVE_CONFIG_DIR,
-      '--monitor'
-    ])
-    onedriveMonitorProcess.stdout?.on('data', (d) => {
-      const text = d.toString()
-      console.log('Monitor stdout:', text)
-      const lines = text.split(/\r?\n/)
-      for (const line of lines) {
-        const msg = line.trim()
-        if (!msg) continue
-        const isComplete = /Sync with Microsoft OneDrive is complete/i.test(msg)
-        uiSend('sync-result', { status: isComplete ? 'success' : 'info', message: msg })
+    await writeOnedriveConfig(profile, doc)
+    uiSend('sync-result', { status: 'info', key: 'skipRules.saved', params: { keys: changed.join(', ') }, profileId: profile.id })
+    return { status: 'ok', changed, ...(await applyConfigChanges(profile, changed)) }
+  } catch (e) {
+    console.error('save-skip-rules error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Optionen für die Prüfung eines Sync-Ordners (Ordner der anderen Profile dürfen sich nicht überschneiden)
+function syncFolderOptions(profile, extra = {}) {
+  const others = profiles.list().filter((p) => p.id !== profile.id)
+  return {
+    currentDir: profile.syncDir,
+    confdir: profile.confdir,
+    otherDirs: others.flatMap((p) => [p.syncDir, p.confdir]),
+    ...extra
+  }
+}
+
+// Ordner-Dialog des Systems
+handleIpc('choose-sync-folder', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+    title: t('folder.chooseTitle', { name: profile.name }),
+    defaultPath: fssync.existsSync(profile.syncDir) ? profile.syncDir : app.getPath('home'),
+    properties: ['openDirectory', 'createDirectory']
+  })
+  if (canceled || !filePaths?.length) {
+    return { status: 'canceled' }
+  }
+  return { status: 'ok', path: filePaths[0] }
+})
+
+// Zielordner prüfen (beschreibbar, freier Platz, keine Überschneidung, leer oder bereits eine Kopie)
+handleIpc('validate-sync-folder', async (_event, profileId, target, options = {}) => {
+  const profile = profiles.get(profileId)
+  if (!profile || typeof target !== 'string' || !isPlainObject(options)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  const check = await validateSyncFolder(expandHome(target.trim()), syncFolderOptions(profile, { move: !!options.move, acceptExisting: !!options.acceptExisting }))
+  return { status: 'ok', ...check }
+})
+
+// Sync-Ordner festlegen oder wechseln: Monitor stoppen, ggf. Dateien verschieben, sync_dir schreiben.
+// Nach einem Wechsel verlangt der Client einen vollständigen Abgleich → Vorschau und --resync.
+handleIpc('set-sync-folder', async (_event, profileId, target, options = {}) => {
+  const profile = profiles.get(profileId)
+  if (!profile || typeof target !== 'string' || !isPlainObject(options)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  if (migratingProfiles.has(profile.id) || activeAuthRun?.profile?.id === profile.id) {
+    return { status: 'failed', reason: 'busy' }
+  }
+  const syncDir = expandHome(target.trim())
+  const move = !!options.move
+  const check = await validateSyncFolder(syncDir, syncFolderOptions(profile, { move, acceptExisting: !!options.acceptExisting }))
+  if (!check.ok) {
+    return { status: 'invalid', errors: check.errors }
+  }
+  const doc = await readOnedriveConfig(profile)
+  const configured = getValue(doc, 'sync_dir') !== undefined
+  if (check.state === 'current' && configured) {
+    return { status: 'ok', changed: false }
+  }
+
+  migratingProfiles.add(profile.id)
+  notifyProfilesChanged()
+  let wasRunning = false
+  try {
+    wasRunning = await stopOnedriveMonitorGracefully(profile)
+    const hasFiles = move && check.state !== 'mirror' && check.state !== 'current' && (check.source?.files || 0) > 0
+    if (hasFiles) {
+      uiSend('sync-result', { status: 'info', key: 'folder.moving', params: { count: check.source.files, path: syncDir }, profileId: profile.id })
+      await moveSyncFolder(profile.syncDir, syncDir, {
+        onProgress: (progress) => uiSend('folder-migration', { ...progress, profileId: profile.id })
+      })
+    } else {
+      await fs.mkdir(syncDir, { recursive: true })
+    }
+    setValue(doc, 'sync_dir', syncDir)
+    await writeOnedriveConfig(profile, doc)
+
+    // Beim ersten Einrichten (noch kein Token) ist kein Abgleich nötig
+    const hasToken = fssync.existsSync(profilePaths(profile).tokenFile)
+    profiles.update(profile.id, hasToken ? { syncDir, resyncPending: true, previewPending: true } : { syncDir })
+    conflicts.clear(profile.id)
+    uiSend('sync-result', { status: 'success', key: hasFiles ? 'folder.setMoved' : 'folder.set', params: { path: syncDir }, profileId: profile.id })
+    if (hasToken) {
+      uiSend('preview-required', { profileId: profile.id })
+    }
+    return { status: 'ok', changed: true, moved: hasFiles }
+  } catch (e) {
+    console.error('set-sync-folder error:', e?.message)
+    uiSend('sync-result', { status: 'error', key: 'folder.changeFailed', params: { error: e?.message }, profileId: profile.id })
+    return { status: 'failed', message: e?.message }
+  } finally {
+    migratingProfiles.delete(profile.id)
+    notifyProfilesChanged()
+    if (wasRunning) startOnedriveMonitor(profiles.get(profile.id)) // Startet nur, wenn keine Vorschau aussteht
+  }
+})
+
+// SharePoint-Bibliotheken: Suche über den Client des Hauptkontos, je Bibliothek ein eigenes Profil
+// (eigener confdir mit drive_id, eigener Sync-Ordner und Monitor, Kopie des Tokens).
+const sharePointListings = new Map() // profileId → zuletzt gefundene Bibliotheken (driveId → Bibliothek)
+
+function libraryProfileFor(driveId) {
+  return profiles.list().find((p) => p.library?.driveId === driveId) || null
+}
+
+// Bibliotheksprofile, die mit dem Token dieses Kontos arbeiten
+function libraryProfilesOf(parent) {
+  return profiles.list().filter((p) => p.library?.parentId === parent.id)
+}
+
+// Nach einer neuen Anmeldung des Kontos das Token an seine Bibliotheksprofile weitergeben
+async function refreshLibraryTokens(parent) {
+  const source = profilePaths(parent).tokenFile
+  for (const library of libraryProfilesOf(parent)) {
+    try {
+      const target = profilePaths(library).tokenFile
+      await fs.copyFile(source, target)
+      await fs.chmod(target, 0o600)
+      profiles.update(library.id, { tokenInvalid: null })
+      if (!profiles.get(library.id)?.lastSyncAt) {
+        profiles.update(library.id, { previewPending: true })
+        uiSend('preview-required', { profileId: library.id })
       }
+      startOnedriveMonitor(profiles.get(library.id))
+    } catch (e) {
+      console.warn(`Token copy [${library.id}] failed:`, e?.message)
+    }
+  }
+}
+
+handleIpc('list-sharepoint-libraries', async (_event, profileId, query = '') => {
+  const profile = profiles.get(profileId)
+  if (!profile || typeof query !== 'string' || query.length > 200) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  if (profile.library) {
+    return { status: 'failed', reason: 'library-profile' }
+  }
+  if (!fssync.existsSync(profilePaths(profile).tokenFile) || profile.tokenInvalid) {
+    return { status: 'failed', reason: 'no-token' }
+  }
+  try {
+    const result = await listSharePointLibraries(profile.confdir, query.trim() || '*')
+    const authFailure = findAuthFailure(result.output.split('\n'))
+    if (authFailure) {
+      markTokenInvalid(profile, authFailure)
+      return { status: 'failed', reason: 'token-invalid' }
+    }
+    const known = sharePointListings.get(profile.id) || new Map()
+    for (const library of result.libraries) known.set(library.driveId, library)
+    sharePointListings.set(profile.id, known)
+    const sharedItems = readSettings(await readOnedriveConfig(profile)).sync_business_shared_items
+    return {
+      status: 'ok',
+      libraries: result.libraries.map((library) => ({ ...library, profileId: libraryProfileFor(library.driveId)?.id || null })),
+      sites: result.sites,
+      notFound: result.notFound,
+      sharedItems,
+      baseDir: path.join(app.getPath('home'), 'SharePoint')
+    }
+  } catch (e) {
+    console.error('list-sharepoint-libraries error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Gewählte Bibliotheken als Profile anlegen (Sync-Ordner <baseDir>/<Website - Bibliothek>) und
+// "Mit mir geteilt" im Hauptkonto ein- oder ausschalten. Der erste Sync jeder Bibliothek beginnt mit der Vorschau.
+handleIpc('add-sharepoint-libraries', async (_event, profileId, options) => {
+  const parent = profiles.get(profileId)
+  if (!parent || !isPlainObject(options) || !Array.isArray(options.driveIds) || options.driveIds.length > 50 ||
+    typeof options.baseDir !== 'string' || typeof options.sharedItems !== 'boolean') {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  const tokenFile = profilePaths(parent).tokenFile
+  if (parent.library || !fssync.existsSync(tokenFile)) {
+    return { status: 'failed', reason: 'no-token' }
+  }
+  const known = sharePointListings.get(parent.id) || new Map()
+  const libraries = [...new Set(options.driveIds)].map((driveId) => known.get(driveId))
+  if (libraries.some((library) => !library)) {
+    return { status: 'failed', reason: 'unknown-library' }
+  }
+  const baseDir = expandHome(options.baseDir.trim())
+
+  // Zuerst alle Ordner prüfen, damit nicht nur ein Teil angelegt wird
+  const errors = {}
+  const planned = []
+  for (const library of libraries) {
+    if (libraryProfileFor(library.driveId)) {
+      errors[library.driveId] = t('libraries.alreadySynced')
+      continue
+    }
+    const syncDir = librarySyncDir(baseDir, library)
+    const check = await validateSyncFolder(syncDir, {
+      otherDirs: [...profiles.list().flatMap((p) => [p.syncDir, p.confdir]), ...planned.map((p) => p.syncDir)],
+      acceptExisting: true
     })
-    onedriveMonitorProcess.stderr?.on('data', (d) => {
-      const text = d.toString()
-      console.log('Monitor stderr:', text)
-      const lines = text.split(/\r?\n/)
-      for (const line of lines) {
-        const msg = line.trim()
-        if (!msg) continue
-        uiSend('sync-result', { status: 'warning', message: msg })
+    if (!check.ok) errors[library.driveId] = check.errors.join(' ')
+    else planned.push({ library, syncDir })
+  }
+  if (Object.keys(errors).length > 0) {
+    return { status: 'invalid', errors }
+  }
+
+  const added = []
+  try {
+    for (const { library, syncDir } of planned) {
+      const base = `${library.siteName || 'SharePoint'} – ${library.libraryName || library.driveId}`
+      let name = base
+      for (let n = 2; profiles.list().some((p) => p.name.toLowerCase() === name.toLowerCase()); n++) name = `${base} (${n})`
+      const profile = profiles.add(name, {
+        syncDir,
+        library: { parentId: parent.id, ...library }
+      })
+      added.push(profile)
+      const doc = parseConfig('')
+      setValue(doc, 'sync_dir', syncDir)
+      setValue(doc, 'drive_id', library.driveId)
+      await writeOnedriveConfig(profile, doc)
+      await fs.copyFile(tokenFile, profilePaths(profile).tokenFile)
+      await fs.chmod(profilePaths(profile).tokenFile, 0o600)
+      await fs.mkdir(syncDir, { recursive: true })
+      profiles.update(profile.id, { previewPending: true })
+      uiSend('sync-result', { status: 'info', key: 'libraries.added', params: { site: library.siteName, library: library.libraryName, path: syncDir }, profileId: profile.id })
+    }
+
+    const doc = await readOnedriveConfig(parent)
+    if (readSettings(doc).sync_business_shared_items !== options.sharedItems) {
+      setValue(doc, 'sync_business_shared_items', options.sharedItems ? 'true' : 'false')
+      await writeOnedriveConfig(parent, doc)
+      await applyConfigChanges(parent, ['sync_business_shared_items'])
+    }
+    notifyProfilesChanged()
+    return { status: 'ok', profiles: added.map((p) => profileStatus(profiles.get(p.id))) }
+  } catch (e) {
+    console.error('add-sharepoint-libraries error:', e?.message)
+    notifyProfilesChanged()
+    return { status: 'failed', message: e?.message, profiles: added.map((p) => profileStatus(profiles.get(p.id))) }
+  }
+})
+
+// Auth-Redirect verarbeiten
+async function handleAuthRedirect(redirectUrl, run = activeAuthRun) {
+  try {
+    // Speichere Response-URL
+    const profile = run.profile
+    await fs.writeFile(profilePaths(profile).responseFile, redirectUrl)
+    
+    // Schließe Auth-Fenster (bei der Anmeldung im Browser gibt es keins)
+    settleAuthRun(run)
+    if (authWindow) {
+      authWindow.close()
+      authWindow = null
+    }
+    
+    // Benachrichtige Hauptfenster (intermediate success)
+    uiSend('auth-result', { status: 'success', key: 'auth.succeeded', profileId: profile.id })
+
+    const decideAfterExit = () => {
+      try {
+        const tokenExists = fssync.existsSync(profilePaths(profile).tokenFile)
+        if (tokenExists) {
+          uiSend('auth-result', { status: 'completed', key: 'auth.completed', profileId: profile.id })
+          profiles.update(profile.id, { tokenInvalid: null })
+          // Erster Sync dieses Profils: zuerst die Vorschau zeigen
+          if (!profiles.get(profile.id)?.lastSyncAt) {
+            profiles.update(profile.id, { previewPending: true })
+            uiSend('preview-required', { profileId: profile.id })
+          }
+          startOnedriveMonitor(profiles.get(profile.id))
+          refreshLibraryTokens(profile)
+        } else {
+          uiSend('auth-result', { status: 'error', key: 'auth.noTokenAfterSignIn', profileId: profile.id })
+        }
+      } catch (e) {
+        uiSend('auth-result', { status: 'error', key: 'auth.tokenCheckFailed', profileId: profile.id })
+      }
+    }
+
+    // Warte auf OneDrive-Prozess; falls schon beendet, entscheide direkt.
+    // Nur 'close' (kommt nach 'exit', wenn auch die Ausgabe gelesen ist), sonst wird zweimal entschieden
+    if (onedriveProcess && typeof onedriveProcess.exitCode !== 'number') {
+      onedriveProcess.once('close', () => decideAfterExit())
+    } else {
+      decideAfterExit()
+    }
+  } catch (e) {
+    console.error('Error handling auth redirect:', e.message)
+    await failAuthFlow('auth.redirectFailed', e, run)
+  }
+}
+
+// Cleanup beim Beenden
+app.on('before-quit', async () => {
+  isQuitting = true
+  scheduler.stop()
+  if (onedriveProcess) {
+    onedriveProcess.kill()
+  }
+  for (const supervisor of supervisors.values()) {
+    // Ein systemd-Dienst läuft ohne die App weiter, nur die Beobachtung endet
+    if (supervisor.external) supervisor.dispose()
+    else supervisor.stop()
+  }
+  if (authWindow) {
+    authWindow.close()
+  }
+  activeAuthRun?.listener?.close()
+  try { tray?.destroy?.() } catch {}
+  controlServer?.close()
+  syncLog?.flushSync()
+})
+
+// OneDrive Monitor starten (einfacher Hintergrund-Sync, überwacht vom Supervisor)
+function startOnedriveMonitor(profile) {
+  try {
+    if (profile.resyncPending) {
+      uiSend('sync-result', { status: 'warning', key: 'monitor.notStartedResync', profileId: profile.id })
+      notifyProfilesChanged()
+      return
+    }
+    if (migratingProfiles.has(profile.id)) {
+      console.log(`Monitor [${profile.id}] not started: sync folder is being moved`)
+      return
+    }
+    if (profile.tokenInvalid) {
+      // Kein Neustart mit einem Token, das Microsoft abgelehnt hat
+      getSupervisor(profile).markFailed('failed-auth', 'invalid-token')
+      return
+    }
+    if (profile.previewPending) {
+      uiSend('sync-result', { status: 'warning', key: 'monitor.notStartedPreview', profileId: profile.id })
+      notifyProfilesChanged()
+      return
+    }
+    if (pauseReasons.size > 0) {
+      console.log(`Monitor [${profile.id}] not started: syncing paused`)
+      // Der Dienst bleibt während einer Pause aktiviert und startet nach einem Neustart des Rechners wieder → anhalten
+      if (settings.get('monitorMode') === 'systemd') getSupervisor(profile).stop().catch(() => {})
+      return
+    }
+    getSupervisor(profile).start()
+  } catch (e) {
+    console.error('Could not start OneDrive monitor:', e?.message)
+    uiSend('auth-result', { status: 'error', key: 'monitor.startFailed', profileId: profile.id })
+  }
+}
+
+// Zustände des Supervisors → Schlüssel monitor.state.<Zustand>
+function monitorStateLabel(state) {
+  return t(`monitor.state.${state}`)
+}
+
+// Supervisor pro Profil (einmalig anlegen)
+function getSupervisor(profile) {
+  let supervisor = supervisors.get(profile.id)
+  if (supervisor) return supervisor
+
+  let recentLines = [] // Letzte Ausgabezeilen zur Einordnung eines Absturzes
+  const outputHandlers = {
+    onLine: (line) => {
+      recentLines.push(line)
+      if (recentLines.length > 50) recentLines.shift()
+    },
+    onEvent: (event) => {
+      supervisor.handleEvent(event)
+      if (event.type === 'cycle-end') {
+        profiles.update(profile.id, { lastSyncAt: Date.now() })
+        updateTrayStatus()
       }
+    }
+  }
+  if (settings.get('monitorMode') === 'systemd') {
+    // Monitor als systemd-Benutzerdienst; die Ausgabe kommt aus dem Journal
+    supervisor = createServiceSupervisor({
+      profileId: profile.id,
+      install: () => installServiceUnit(profiles.get(profile.id) || profile),
+      follow: () => {
+        const follower = followServiceOutput(profile.id)
+        attachClientOutput(follower, profiles.get(profile.id) || profile, 'Service', outputHandlers)
+        return follower
+      },
+      classifyExit: () => classifyMonitorExit(profile, recentLines)
     })
-    onedriveMonitorProcess.on('exit', (code) => {
-      console.log('Monitor exited with code', code)
+  } else {
+    supervisor = createMonitorSupervisor({
+      spawnMonitor: () => {
+        recentLines = []
+        const current = profiles.get(profile.id) || profile
+        const monitor = spawn('onedrive', [
+          '--confdir', current.confdir,
+          '--monitor'
+        ])
+        attachClientOutput(monitor, current, 'Monitor', outputHandlers)
+        monitor.on('exit', (code, signal) => console.log(`Monitor [${profile.id}] exited with code`, code, signal || ''))
+        return monitor
+      },
+      classifyExit: () => classifyMonitorExit(profile, recentLines)
     })
-    uiSend('auth-result', { status: 'info', message: 'OneDrive Monitor gestartet' })
+  }
+  supervisor.on('state', (info) => onMonitorState(profile.id, info))
+  supervisors.set(profile.id, supervisor)
+  return supervisor
+}
+
+// Beim App-Start laufende Dienste übernehmen (sie starten ab der Anmeldung auch ohne die App)
+async function attachRunningServices() {
+  if (settings.get('monitorMode') !== 'systemd') return
+  await Promise.all(profiles.list().map((p) => getSupervisor(p).refresh()))
+}
+
+// Monitor-Modus wechseln: alle Monitore stoppen, Dienste anlegen bzw. entfernen und wieder starten
+async function setMonitorMode(mode) {
+  if (settings.get('monitorMode') === mode) return
+  if (mode === 'systemd' && !(await systemdUserAvailable())) {
+    throw new Error(t('monitor.noSystemd'))
+  }
+  for (const [profileId, supervisor] of supervisors) {
+    await supervisor.stop({ disable: true })
+    supervisor.dispose?.()
+    supervisors.delete(profileId)
+    lastMonitorStates.delete(profileId)
+  }
+  if (mode === 'app') {
+    for (const profileId of await listServiceUnits()) {
+      await removeServiceUnit(profileId)
+    }
+  }
+  settings.set('monitorMode', mode)
+  uiSend('sync-result', { status: 'info', key: mode === 'systemd' ? 'monitor.modeSystemd' : 'monitor.modeApp' })
+  for (const profile of profiles.list()) {
+    if (fssync.existsSync(profilePaths(profile).tokenFile)) startOnedriveMonitor(profile)
+  }
+  notifyProfilesChanged()
+}
+
+// Befehl, mit dem der Autostart-Eintrag die App startet
+function autostartCommand() {
+  if (process.env.APPIMAGE) return [process.env.APPIMAGE]
+  if (app.isPackaged) return [process.execPath]
+  return [process.execPath, app.getAppPath()]
+}
+
+// Katalog der aktuellen Sprache für die Oberfläche (Formatierung siehe t() in index.html)
+handleIpc('get-i18n', async () => {
+  return { locale: getLocale(), setting: settings.get('language'), locales: LOCALES, messages: catalog() }
+})
+
+handleIpc('get-app-settings', async () => {
+  return {
+    status: 'ok',
+    values: { autostart: await isAutostartEnabled(), monitorMode: settings.get('monitorMode'), authMode: settings.get('authMode'), schedule: normalizeSchedule(settings.get('schedule')), notifications: normalizeNotificationSettings(settings.get('notifications')), language: settings.get('language') },
+    systemdAvailable: await systemdUserAvailable()
+  }
+})
+
+handleIpc('save-app-settings', async (_event, input = {}) => {
+  if (!isPlainObject(input)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  const errors = {}
+  if (input.monitorMode !== undefined && !MONITOR_MODES.includes(input.monitorMode)) errors.monitorMode = t('validation.unknownMode')
+  if (input.autostart !== undefined && typeof input.autostart !== 'boolean') errors.autostart = t('validation.invalidValue')
+  if (input.authMode !== undefined && !AUTH_MODES.includes(input.authMode)) errors.authMode = t('validation.unknownMode')
+  if (input.language !== undefined && !LANGUAGE_SETTINGS.includes(input.language)) errors.language = t('validation.unknownLanguage')
+  const schedule = input.schedule !== undefined ? validateSchedule(input.schedule) : null
+  if (schedule && !schedule.ok) Object.assign(errors, schedule.errors)
+  const notifications = input.notifications !== undefined ? validateNotificationSettings(input.notifications) : null
+  if (notifications && !notifications.ok) Object.assign(errors, notifications.errors)
+  if (Object.keys(errors).length) {
+    return { status: 'invalid', errors }
+  }
+  try {
+    if (input.autostart !== undefined && input.autostart !== await isAutostartEnabled()) {
+      await setAutostart(input.autostart, { command: autostartCommand(), icon: process.env.APPIMAGE ? undefined : path.join(__dirname, 'icon.png') })
+      uiSend('sync-result', { status: 'info', key: input.autostart ? 'settings.autostartOn' : 'settings.autostartOff' })
+    }
+    if (input.authMode !== undefined && input.authMode !== settings.get('authMode')) {
+      settings.set('authMode', input.authMode)
+    }
+    if (input.monitorMode !== undefined) {
+      await setMonitorMode(input.monitorMode)
+    }
+    if (schedule) {
+      settings.set('schedule', schedule.values)
+      await scheduler.check()
+    }
+    if (notifications) {
+      settings.set('notifications', notifications.values)
+    }
+    if (input.language !== undefined && input.language !== settings.get('language')) {
+      settings.set('language', input.language)
+      applyLanguage()
+      uiSend('language-changed', { locale: getLocale(), setting: input.language })
+      notifyProfilesChanged() // Aktualisiert auch Tray-Menü und Tooltip
+    }
+    return { status: 'ok' }
   } catch (e) {
-    console.error('Could not start OneDrive monitor:', e?.message)
-    uiSend('auth-result', { status: 'error', message: 'Konnte OneDrive Monitor nicht starten' })
+    console.error('save-app-settings error:', e?.message)
+    return { status: 'failed', message: e?.message }
   }
+})
+
+// Nicht behebbare Monitor-Abbrüche erkennen (kein automatischer Neustart)
+function classifyMonitorExit(profile, recentLines) {
+  const current = profiles.get(profile.id) || profile
+  if (!fssync.existsSync(profilePaths(current).tokenFile)) {
+    return { state: 'failed-auth', reason: 'no-token' }
+  }
+  const authFailure = findAuthFailure([...recentLines].reverse())
+  if (authFailure) {
+    markTokenInvalid(current, authFailure, { stopMonitor: false })
+    return { state: 'failed-auth', reason: 'invalid-token' }
+  }
+  const output = recentLines.join('\n')
+  if (/--resync is required|requires a --resync|use --resync/i.test(output)) {
+    profiles.update(current.id, { resyncPending: true })
+    return { state: 'crashed', reason: 'resync-required' }
+  }
+  return null
 }
 
-// Beim App-Start: Falls Token vorhanden, Monitor automatisch starten
-function maybeStartMonitorIfToken() {
+// Token abgelaufen oder widerrufen (z. B. Passwort geändert, Sitzungen vom Admin beendet):
+// nicht weiter versuchen, bis sich der Nutzer erneut anmeldet. stopMonitor: false, wenn der Supervisor den Abbruch selbst einordnet
+function markTokenInvalid(profile, { code, message } = {}, { stopMonitor = true } = {}) {
+  const current = profiles.get(profile.id)
+  if (!current) return
+  const alreadyInvalid = !!current.tokenInvalid
+  if (!alreadyInvalid) {
+    profiles.update(profile.id, { tokenInvalid: { code: code || null, message: message || null, at: Date.now() } })
+  }
+  // Laufenden Monitor beenden (ein einmaliger Sync endet von selbst, danach startet der Monitor nicht mehr)
+  const supervisor = supervisors.get(profile.id)
+  if (stopMonitor && supervisor?.isActive() && !supervisor.detail?.oneShot) {
+    supervisor.stop().then(() => supervisor.markFailed('failed-auth', 'invalid-token'))
+  }
+  if (alreadyInvalid) return
+  uiSend('auth-result', { status: 'error', key: code ? 'auth.expiredCode' : 'auth.expired', params: { name: current.name, code }, profileId: profile.id }, {
+    category: 'sign-in-required',
+    body: t('notifications.expiredBody', { name: current.name }),
+    onClick: () => signInAgain(profile.id)
+  })
+  notifyProfilesChanged()
+}
+
+function signInAgain(profileId) {
+  showWindow()
+  startOnedriveAuth(profileId)
+}
+
+// Zustandswechsel an UI und Tray melden
+function onMonitorState(profileId, info) {
+  const profile = profiles.get(profileId)
+  if (!profile) return
+  console.log(`Monitor [${profileId}] state:`, info.state, info.reason || '')
+  const previous = lastMonitorStates.get(profileId)
+  lastMonitorStates.set(profileId, info.state)
+  // Normale Sync-Durchläufe des Monitors nicht jedes Mal in der Historie melden
+  const routineCycle = (info.state === 'syncing' && !info.oneShot) || (info.state === 'running' && previous === 'syncing')
+  // Schlüssel monitor.<Zustand>[.<Grund>][.service], z. B. monitor.crashed.resync-required.service
+  let status = 'info'
+  let key = info.state
+  const params = {}
+  if (info.state === 'running') status = 'success'
+  if (info.state === 'backing-off') {
+    status = 'warning'
+    Object.assign(params, { seconds: Math.round(info.retryInMs / 1000), attempt: info.attempt, code: info.code })
+    if (info.code !== undefined && info.code !== null) key = 'backing-off.code'
+  }
+  if (info.state === 'failed-auth') {
+    status = 'error'
+    key = info.reason === 'no-token' ? 'failed-auth.no-token' : 'failed-auth.invalid-token'
+  }
+  if (info.state === 'crashed') {
+    status = 'error'
+    if (info.reason === 'resync-required' || info.reason === 'too-many-restarts') key = `crashed.${info.reason}`
+  }
+  if (info.state === 'stopped' && info.reason === 'killed') {
+    status = 'warning'
+    key = 'stopped.killed'
+  }
+  if (info.service && info.state !== 'syncing' && key !== 'stopped.killed') key = `${key}.service`
+  if (!routineCycle) {
+    // Abgelaufene Tokens meldet markTokenInvalid, hier nur ein fehlendes Token
+    let notice = null
+    if (info.state === 'crashed') notice = 'sync-failed'
+    else if (info.state === 'failed-auth' && info.reason === 'no-token') notice = { category: 'sign-in-required', onClick: () => signInAgain(profileId) }
+    uiSend('sync-result', { status, key: `monitor.${key}`, params, profileId }, notice)
+  }
+  uiSend('monitor-state', { ...info, profileId })
+  notifyProfilesChanged()
+}
+
+// Gesamtzustand für das Tray: not signed in > error > paused > syncing > idle
+function overallSyncState() {
+  const list = profiles.list()
+  const states = list.map((p) => supervisors.get(p.id)?.state || 'stopped')
+  const hasToken = list.some((p) => fssync.existsSync(profilePaths(p).tokenFile))
+  if (!hasToken || states.includes('failed-auth') || list.some((p) => p.tokenInvalid)) return 'signed-out'
+  if (states.includes('crashed') || states.includes('backing-off')) return 'error'
+  if (pauseReasons.size > 0) return 'paused'
+  if (states.includes('syncing') || activeAuthRun) return 'syncing'
+  return 'idle'
+}
+
+function formatSyncTime(ts) {
+  if (!ts) return t('tray.never')
+  const d = new Date(ts)
+  const sameDay = d.toDateString() === new Date().toDateString()
+  return sameDay ? d.toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' }) : d.toLocaleString(getLocale(), { dateStyle: 'short', timeStyle: 'short' })
+}
+
+// Menüeintrag für ein oder mehrere Profile (bei mehreren als Untermenü)
+function profileMenuItem(label, list, click) {
+  if (list.length === 0) return { label, enabled: false }
+  if (list.length === 1) return { label, click: () => click(list[0]) }
+  return { label, submenu: list.map((p) => ({ label: p.name, click: () => click(p) })) }
+}
+
+// Icon, Tooltip und Kontextmenü des Trays aktualisieren
+function updateTrayStatus() {
+  if (!tray || tray.isDestroyed?.()) return
+  const state = overallSyncState()
+  const list = profiles.list()
+  const signedIn = list.filter((p) => fssync.existsSync(profilePaths(p).tokenFile))
+  const lastSyncAt = Math.max(0, ...list.map((p) => p.lastSyncAt || 0))
+  const pausedManually = pauseReasons.has('manual')
+  const conflictCount = list.reduce((sum, p) => sum + conflicts.count(p.id), 0)
+  const expired = list.filter((p) => p.tokenInvalid)
+
+  const stateLabel = state === 'paused' ? `${t('tray.state.paused')} (${pauseReasonText()})` : t(`tray.state.${state}`)
+  const lines = [`OneDrive – ${stateLabel}`, t('tray.lastSync', { time: formatSyncTime(lastSyncAt) })]
+  if (expired.length > 0) lines.push(t('tray.expired', { names: expired.map((p) => p.name).join(', ') }))
+  if (conflictCount > 0) lines.push(t('tray.conflicts', { count: conflictCount }))
+  if (list.length > 1) {
+    lines.push(...list.map((p) => `${p.name}: ${monitorStateLabel(supervisors.get(p.id)?.state || 'stopped')}`))
+  }
+  if (settings.get('monitorMode') === 'systemd') lines.push(t('tray.systemd'))
+  if (scheduler.rateLimit) lines.push(t('tray.rateLimit', { rate: formatRate(scheduler.rateLimit) }))
+
+  const contextMenu = Menu.buildFromTemplate([
+    { label: lines[0], enabled: false },
+    { label: lines[1], enabled: false },
+    { type: 'separator' },
+    ...(expired.length > 0 ? [profileMenuItem(t('tray.menu.expired'), expired, (p) => signInAgain(p.id)), { type: 'separator' }] : []),
+    { label: t('tray.menu.show'), click: () => showWindow() }, // Show window
+    profileMenuItem(t('tray.menu.syncNow'), signedIn, (p) => {
+      if (profiles.get(p.id)?.previewPending) showWindow() // Vorschau muss in der App bestätigt werden
+      runOneShotSync(p)
+    }),
+    pausedManually
+      ? { label: t('tray.menu.resume'), click: () => resumeSyncing('manual') }
+      : { label: t('tray.menu.pause'), click: () => pauseSyncing('manual'), enabled: signedIn.length > 0 },
+    profileMenuItem(t('tray.menu.restartMonitor'), signedIn.filter((p) => !p.resyncPending && !p.previewPending), (p) => restartMonitor(p)),
+    profileMenuItem(t('tray.menu.openFolder'), list, (p) => openSyncFolder(p)),
+    ...(conflictCount > 0 ? [profileMenuItem(t('tray.menu.conflicts', { count: conflictCount }), list.filter((p) => conflicts.count(p.id) > 0), (p) => showConflicts(p.id))] : []),
+    { label: t('tray.menu.log'), click: () => { showWindow(); uiSend('show-log') } },
+    profileMenuItem(t('tray.menu.signIn'), list, (p) => signInAgain(p.id)),
+    { type: 'separator' },
+    { label: t('tray.menu.quit'), click: () => { app.isQuiting = true; app.quit() } } // Quit app
+  ])
   try {
-    const tokenPath = path.join(ONEDRIVE_CONFIG_DIR, 'refresh_token')
-    if (fssync.existsSync(tokenPath)) {
-      startOnedriveMonitor()
-    } else {
-      uiSend('auth-result', { status: 'info', message: 'Kein gespeichertes Token gefunden – bitte authentifizieren' })
+    tray.setImage(trayIcons.get(state))
+    tray.setToolTip(lines.join('\n'))
+    tray.setContextMenu(contextMenu)
+  } catch {}
+}
+
+async function openSyncFolder(profile) {
+  try {
+    await fs.mkdir(profile.syncDir, { recursive: true })
+    const error = await shell.openPath(profile.syncDir)
+    if (error) uiSend('sync-result', { status: 'error', key: 'folder.openFailed', params: { error }, profileId: profile.id })
+  } catch (e) {
+    uiSend('sync-result', { status: 'error', key: 'folder.openFailed', params: { error: e?.message }, profileId: profile.id })
+  }
+}
+
+// Synchronisierung pausieren: alle Monitore stoppen (ein manueller Sofort-Sync bleibt möglich)
+async function pauseSyncing(reason) {
+  const wasPaused = pauseReasons.size > 0
+  pauseReasons.add(reason)
+  if (reason === 'manual') settings.set('paused', true)
+  if (!wasPaused) {
+    await Promise.all(profiles.list().map((p) => stopOnedriveMonitorGracefully(p)))
+    uiSend('sync-result', { status: 'warning', key: 'pause.paused', params: { reasons: pauseReasonText() } })
+  }
+  notifyProfilesChanged()
+}
+
+async function resumeSyncing(reason) {
+  pauseReasons.delete(reason)
+  if (reason === 'manual') settings.set('paused', false)
+  if (pauseReasons.size === 0) {
+    uiSend('sync-result', { status: 'info', key: 'pause.resumed' })
+    maybeStartMonitorIfToken()
+  }
+  notifyProfilesChanged()
+}
+
+// Pausengründe für UI und Tray, z. B. "Ruhezeit bis 06:00, getaktete Verbindung"
+function pauseReasonText() {
+  return [...pauseReasons].map((reason) => {
+    if (reason === 'quiet-hours' && scheduler.detail.quietUntil) return t('pause.reason.quietUntil', { time: scheduler.detail.quietUntil })
+    if (reason === 'battery' && scheduler.detail.batteryPercent !== undefined) return t('pause.reason.batteryAt', { percent: scheduler.detail.batteryPercent })
+    return t(`pause.reason.${reason}`)
+  }).join(', ')
+}
+
+function formatRate(bytesPerSecond) {
+  return bytesPerSecond >= 1048576 ? `${(bytesPerSecond / 1048576).toFixed(1)} MB/s` : `${Math.round(bytesPerSecond / 1024)} KB/s`
+}
+
+// Zeitplan anwenden: Pausengründe setzen/aufheben (ein manueller Sofort-Sync bleibt möglich)
+async function applySchedule({ added, removed, rateLimit }) {
+  await applyScheduledRateLimit(rateLimit)
+  // Erst neue Gründe setzen, damit der Monitor beim Wechsel zwischen zwei Gründen nicht kurz startet
+  for (const reason of added) await pauseSyncing(reason)
+  for (const reason of removed) await resumeSyncing(reason)
+  if (added.length === 0 && removed.length === 0) notifyProfilesChanged() // z. B. geänderter Akkustand
+}
+
+// Bandbreite auf getakteten Verbindungen begrenzen: rate_limit in der Client-Config vorübergehend setzen.
+// Der vorherige Wert wird am Profil gemerkt (scheduledRateLimit) und danach wiederhergestellt.
+async function applyScheduledRateLimit(limit) {
+  for (const profile of profiles.list()) {
+    const saved = profile.scheduledRateLimit || null
+    if ((saved?.applied ?? null) === limit) continue
+    try {
+      const doc = await readOnedriveConfig(profile)
+      if (getValue(doc, 'sync_dir') === undefined) continue // Noch nicht eingerichtet
+      const current = getValue(doc, 'rate_limit')
+      if (limit !== null) {
+        setValue(doc, 'rate_limit', limit)
+        profiles.update(profile.id, { scheduledRateLimit: { applied: limit, previous: saved ? saved.previous : current ?? null } })
+      } else {
+        // Nur zurücksetzen, wenn der Wert inzwischen nicht von Hand geändert wurde
+        if (current === String(saved.applied)) setValue(doc, 'rate_limit', saved.previous)
+        profiles.update(profile.id, { scheduledRateLimit: null })
+      }
+      await writeOnedriveConfig(profile, doc)
+      uiSend('sync-result', limit !== null
+        ? { status: 'info', key: 'schedule.rateLimited', params: { rate: formatRate(limit) }, profileId: profile.id }
+        : { status: 'info', key: 'schedule.rateLimitLifted', profileId: profile.id })
+      // Der Client liest rate_limit nur beim Start
+      if (supervisors.get(profile.id)?.isActive()) await restartMonitor(profile)
+    } catch (e) {
+      console.warn(`Could not apply rate limit for ${profile.id}:`, e?.message)
     }
+  }
+}
+
+// Beim App-Start vor den Monitoren: Pausengründe setzen und eine alte Begrenzung ggf. aufheben
+async function startScheduler() {
+  try {
+    const initial = await scheduler.start()
+    await applySchedule({ ...initial, added: initial.reasons, removed: [] })
+  } catch (e) {
+    console.warn('Scheduler check failed:', e?.message)
+  }
+  scheduler.on('change', (change) => {
+    applySchedule(change).catch((e) => console.warn('Could not apply schedule:', e?.message))
+  })
+  // Wechsel auf Akku/Netzteil und Aufwachen sofort auswerten (sonst jede Minute)
+  for (const eventName of ['on-battery', 'on-ac', 'resume']) {
+    powerMonitor.on(eventName, () => { scheduler.check().catch(() => {}) })
+  }
+}
+
+handleIpc('pause-sync', async () => {
+  await pauseSyncing('manual')
+  return { status: 'ok', paused: true }
+})
+
+handleIpc('resume-sync', async () => {
+  await resumeSyncing('manual')
+  return { status: 'ok', paused: pauseReasons.size > 0 }
+})
+
+handleIpc('open-sync-folder', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  await openSyncFolder(profile)
+  return { status: 'ok' }
+})
+
+function showConflicts(profileId) {
+  showWindow()
+  uiSend('show-conflicts', { profileId })
+}
+
+// Desktop-Benachrichtigung (Klick öffnet die App)
+function notifyDesktop(title, body, onClick = showWindow) {
+  try {
+    if (!Notification.isSupported()) return
+    const notification = new Notification({ title, body, icon: path.join(__dirname, 'icon.png') })
+    notification.on('click', () => onClick())
+    notification.show()
   } catch (e) {
-    console.warn('Token check failed:', e?.message)
+    console.warn('Could not show notification:', e?.message)
+  }
+}
+
+// Neue Konflikte kurz sammeln, damit ein Durchlauf mit vielen Konflikten nur eine Benachrichtigung auslöst
+const conflictNotice = { timer: null, byProfile: new Map() }
+
+function announceConflict(profile, relativePath) {
+  const list = conflictNotice.byProfile.get(profile.id) || []
+  list.push(relativePath)
+  conflictNotice.byProfile.set(profile.id, list)
+  if (conflictNotice.timer) return
+  conflictNotice.timer = setTimeout(() => {
+    conflictNotice.timer = null
+    for (const [profileId, files] of conflictNotice.byProfile) {
+      const name = profiles.get(profileId)?.name || profileId
+      const body = files.length === 1 ? files[0] : t('notifications.conflictFiles', { count: files.length, file: files[0] })
+      notifier.notify({
+        category: 'conflict',
+        profileId,
+        title: t('notifications.conflictTitle', { name }),
+        body: `${body}\n${t('notifications.conflictBody')}`,
+        key: files.join('\n'),
+        onClick: () => showConflicts(profileId)
+      })
+    }
+    conflictNotice.byProfile.clear()
+  }, 2000)
+}
+
+// Konfliktkopie aus der Client-Ausgabe übernehmen (Pfade relativ zum Sync-Ordner)
+async function registerConflict(profile, event) {
+  const current = profiles.get(profile.id) || profile
+  const resolvePath = (p) => (path.isAbsolute(p) ? p : path.join(current.syncDir, p))
+  const backupPath = resolvePath(event.to)
+  const originalPath = event.from ? resolvePath(event.from) : await originalPathFor(backupPath)
+  if (!conflicts.add(current.id, { backupPath, originalPath })) return
+  const relativePath = path.relative(current.syncDir, originalPath || backupPath)
+  uiSend('sync-result', { status: 'warning', key: 'conflicts.detected', params: { path: relativePath }, profileId: current.id })
+  uiSend('conflicts-changed', { profileId: current.id })
+  announceConflict(current, relativePath)
+  notifyProfilesChanged()
+}
+
+// Sync-Ordner nach Konfliktkopien durchsuchen → neu gefundene Konflikte
+async function scanProfileConflicts(profile) {
+  const found = await scanConflicts(profile.syncDir)
+  const added = conflicts.replace(profile.id, found)
+  notifyProfilesChanged()
+  return added
+}
+
+// Beim Start: vorhandene Konflikte melden, aber nicht einzeln benachrichtigen
+async function scanAllConflicts() {
+  for (const profile of profiles.list()) {
+    try {
+      const added = await scanProfileConflicts(profile)
+      if (added.length > 0) {
+        uiSend('sync-result', { status: 'warning', key: 'conflicts.found', params: { count: added.length }, profileId: profile.id })
+      }
+    } catch (e) {
+      console.warn('Conflict scan failed:', e?.message)
+    }
   }
 }
 
-// Safe UI sender
-function uiSend(channel, payload) {
+// Konflikte eines Profils mit Größe und Datum beider Versionen
+handleIpc('list-conflicts', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  try {
+    await scanProfileConflicts(profile)
+    const described = await Promise.all(conflicts.list(profile.id).map((c) => describeConflict(c, profile.syncDir)))
+    return { status: 'ok', conflicts: described.filter(Boolean).sort((a, b) => a.relativePath.localeCompare(b.relativePath)) }
+  } catch (e) {
+    console.error('list-conflicts error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Konflikt auflösen (nur bekannte Konfliktkopien, siehe conflicts.js)
+handleIpc('resolve-conflict', async (_event, profileId, backupPath, action) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  const conflict = conflicts.get(profile.id, backupPath)
+  if (!conflict || !CONFLICT_ACTIONS.includes(action)) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  try {
+    const result = await resolveConflict(conflict, action, { trash: (file) => shell.trashItem(file) })
+    conflicts.remove(profile.id, backupPath)
+    uiSend('sync-result', { status: 'success', key: `conflicts.resolved.${action}`, params: { path: path.relative(profile.syncDir, result.path || backupPath) }, profileId: profile.id })
+    notifyProfilesChanged()
+    return { status: 'ok' }
+  } catch (e) {
+    console.error('resolve-conflict error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+handleIpc('reveal-conflict', async (_event, profileId, backupPath) => {
+  const conflict = conflicts.get(profileId, backupPath)
+  if (!conflict) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  shell.showItemInFolder(conflict.backupPath)
+  return { status: 'ok' }
+})
+
+// Übersicht: Speicherplatz in OneDrive (über den Client) und auf dem lokalen Laufwerk, zuletzt geänderte Dateien
+const QUOTA_MAX_AGE_MS = 15 * 60 * 1000 // Ältere Angaben beim Öffnen der Übersicht im Hintergrund erneuern
+const QUOTA_MIN_AGE_MS = 5 * 60 * 1000 // Nach einem Sync-Durchlauf höchstens so oft abfragen
+
+// Speicherplatz eines Profils abfragen (nur eine Abfrage gleichzeitig) und der UI melden
+function refreshQuota(profile, { maxAgeMs = 0 } = {}) {
+  const current = quotas.get(profile.id) || { quota: null, error: null, checkedAt: null }
+  if (current.pending) return current.pending
+  if (!fssync.existsSync(profilePaths(profile).tokenFile) || profile.tokenInvalid) return Promise.resolve(current)
+  if (maxAgeMs && current.checkedAt && Date.now() - current.checkedAt < maxAgeMs) return Promise.resolve(current)
+  const pending = readQuota(profile.confdir)
+    .then((quota) => ({ quota, error: null }))
+    .catch((e) => ({ quota: current.quota, error: e?.message || t('dashboard.quotaFailed') }))
+    .then(({ quota, error }) => {
+      const next = { quota, error, checkedAt: Date.now() }
+      if (!profiles.get(profile.id)) return next // Inzwischen entfernt
+      quotas.set(profile.id, next)
+      if (quota && quota.level !== 'ok' && quota.level !== current.quota?.level) {
+        const key = `dashboard.quota.${quota.level}${quota.remaining !== null ? '.free' : ''}`
+        uiSend('sync-result', { status: quota.level === 'critical' ? 'error' : 'warning', key, params: { free: formatBytes(quota.remaining) }, profileId: profile.id })
+      }
+      uiSend('quota-changed', { profileId: profile.id, ...next })
+      return next
+    })
+  quotas.set(profile.id, { ...current, pending })
+  return pending
+}
+
+async function storageStatus(profile) {
+  const { quota = null, error = null, checkedAt = null } = quotas.get(profile.id) || {}
+  return { profileId: profile.id, quota, quotaError: error, quotaCheckedAt: checkedAt, local: await readFreeSpace(profile.syncDir) }
+}
+
+handleIpc('get-dashboard', async () => {
+  for (const profile of profiles.list()) refreshQuota(profile, { maxAgeMs: QUOTA_MAX_AGE_MS }).catch(() => {})
+  return {
+    status: 'ok',
+    storage: await Promise.all(profiles.list().map(storageStatus)),
+    activity: activity.list({ limit: 50 })
+  }
+})
+
+handleIpc('refresh-quota', async (_event, profileId) => {
+  const profile = profiles.get(profileId)
+  if (!profile) {
+    return { status: 'failed', reason: 'unknown-profile' }
+  }
+  await refreshQuota(profile)
+  return { status: 'ok', ...(await storageStatus(profile)) }
+})
+
+// Lokaler Pfad eines Eintrags der Aktivitätsliste (nur innerhalb des Sync-Ordners)
+function activityPath(id) {
+  const entry = typeof id === 'string' ? activity.get(id) : null
+  const profile = entry && profiles.get(entry.profileId)
+  if (!profile) return null
+  const full = path.resolve(profile.syncDir, entry.path)
+  const rel = path.relative(profile.syncDir, full)
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return null
+  return { entry, full }
+}
+
+// Datei mit dem Standardprogramm öffnen. Ausführbare Dateien und Starter nur im Ordner zeigen.
+handleIpc('open-activity-file', async (_event, id) => {
+  const target = activityPath(id)
+  if (!target) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  let stat = null
+  try { stat = await fs.stat(target.full) } catch {}
+  if (!stat?.isFile()) {
+    return { status: 'failed', reason: 'not-found' }
+  }
+  if ((stat.mode & 0o111) || /\.(desktop|appimage|sh|run)$/i.test(target.full)) {
+    return { status: 'failed', reason: 'unsafe-file' }
+  }
+  const error = await shell.openPath(target.full)
+  return error ? { status: 'failed', message: error } : { status: 'ok' }
+})
+
+// Im Dateimanager zeigen; gelöschte Dateien → übergeordneten Ordner öffnen, soweit vorhanden
+handleIpc('reveal-activity-file', async (_event, id) => {
+  const target = activityPath(id)
+  if (!target) {
+    return { status: 'failed', reason: 'invalid-payload' }
+  }
+  if (fssync.existsSync(target.full)) {
+    shell.showItemInFolder(target.full)
+    return { status: 'ok' }
+  }
+  const profile = profiles.get(target.entry.profileId)
+  for (let dir = path.dirname(target.full); ; dir = path.dirname(dir)) {
+    if (fssync.existsSync(dir)) {
+      const error = await shell.openPath(dir)
+      return error ? { status: 'failed', message: error } : { status: 'ok' }
+    }
+    if (dir === profile.syncDir || dir === path.dirname(dir)) break
+  }
+  return { status: 'failed', reason: 'not-found' }
+})
+
+// Zuletzt geänderte Dateien aus dem Protokoll übernehmen, damit die Liste einen Neustart überdauert
+async function seedActivity() {
+  try {
+    const { entries } = await syncLog.query({ limit: 5000 })
+    for (const entry of entries.filter((e) => e.source === 'client' && profiles.get(e.profileId)).reverse()) {
+      activity.add(entry.profileId, parseOutputLine(entry.message), entry.ts)
+    }
+  } catch (e) {
+    console.warn('Could not read recent activity from the log:', e?.message)
+  }
+}
+
+// Einrichtungs-Diagnose (siehe diagnostics.js). Eigene onedrive-Prozesse zählen nicht als Konkurrenz.
+async function collectDiagnostics() {
+  const ownPids = [...supervisors.values()].map((s) => s.pid).filter(Boolean)
+  if (onedriveProcess?.pid) ownPids.push(onedriveProcess.pid)
+  return runDiagnostics({
+    profiles: profiles.list(),
+    ownPids,
+    appInfo: { app: app.getVersion(), electron: process.versions.electron }
+  })
+}
+
+handleIpc('run-diagnostics', async () => {
+  try {
+    return { status: 'ok', report: await collectDiagnostics() }
+  } catch (e) {
+    console.error('run-diagnostics error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Support-Paket: Diagnose, Konfiguration ohne Geheimnisse und Protokoll der letzten 7 Tage als ZIP
+handleIpc('create-support-bundle', async () => {
+  try {
+    const stamp = new Date().toISOString().slice(0, 10)
+    const { canceled, filePath } = await dialog.showSaveDialog(win, {
+      title: t('diagnostics.bundleTitle'),
+      defaultPath: path.join(app.getPath('downloads'), `onedrive-sync-support-${stamp}.zip`),
+      filters: [{ name: 'ZIP', extensions: ['zip'] }]
+    })
+    if (canceled || !filePath) {
+      return { status: 'canceled' }
+    }
+    const report = await collectDiagnostics()
+    const entries = [
+      { name: 'diagnose.txt', data: redactText(formatDiagnostics(report)) },
+      { name: 'diagnose.json', data: redactText(JSON.stringify(report, null, 2)) },
+      { name: 'profile.json', data: redactText(JSON.stringify(profiles.list().map(profileStatus), null, 2)) }
+    ]
+    for (const profile of profiles.list()) {
+      const { configFile } = profilePaths(profile)
+      try { entries.push({ name: `${profile.id}/config`, data: redactConfig(await fs.readFile(configFile, 'utf8')) }) } catch {}
+      try { entries.push({ name: `${profile.id}/sync_list`, data: redactText(await fs.readFile(path.join(profile.confdir, 'sync_list'), 'utf8')) }) } catch {}
+    }
+    const { text } = await syncLog.exportText({ from: Date.now() - 7 * 24 * 60 * 60 * 1000 })
+    entries.push({ name: 'protokoll.txt', data: redactText(text) })
+    await writeZip(filePath, entries)
+    uiSend('sync-result', { status: 'success', key: 'diagnostics.bundleSaved', params: { path: filePath } })
+    shell.showItemInFolder(filePath)
+    return { status: 'ok', path: filePath }
+  } catch (e) {
+    console.error('create-support-bundle error:', e?.message)
+    return { status: 'failed', message: e?.message }
+  }
+})
+
+// Steuer-Socket starten (Protokoll siehe control-socket.js)
+function startControlServer() {
+  controlServer = createControlServer({ handle: runControlCommand })
+  controlServer.listen()
+    .then((socketPath) => console.log('Control socket listening at', socketPath))
+    .catch((e) => console.warn('Could not start control socket:', e?.message))
+}
+
+// Profile für einen Steuerbefehl: per id oder Name, ohne Angabe alle
+function controlProfiles(ref) {
+  if (ref === undefined || ref === null || ref === '') return profiles.list()
+  const needle = String(ref).toLowerCase()
+  const profile = profiles.list().find((p) => p.id === ref || p.name.toLowerCase() === needle)
+  if (!profile) throw new Error(t('cli.unknownProfile', { profile: ref }))
+  return [profile]
+}
+
+function controlStatus() {
+  const state = overallSyncState()
+  return {
+    state,
+    label: t(`tray.state.${state}`),
+    paused: pauseReasons.size > 0,
+    pauseReasons: [...pauseReasons],
+    pauseLabel: pauseReasonText(),
+    profiles: profiles.list().map((p) => {
+      const status = profileStatus(p)
+      return {
+        id: p.id,
+        name: p.name,
+        syncDir: p.syncDir,
+        signedIn: status.hasToken,
+        tokenInvalid: status.tokenInvalid,
+        monitorState: status.monitorState,
+        stateLabel: monitorStateLabel(status.monitorState),
+        lastSyncAt: status.lastSyncAt,
+        resyncPending: status.resyncPending,
+        previewPending: status.previewPending,
+        conflicts: status.conflicts
+      }
+    })
+  }
+}
+
+// Befehle aus Steuer-Socket und second-instance (status, sync-now, pause, resume, reauth, tail-log)
+async function runControlCommand(command, args = {}, stream) {
+  switch (command) {
+    case 'status':
+      return controlStatus()
+    case 'sync-now': {
+      const targets = controlProfiles(args.profile).filter((p) => fssync.existsSync(profilePaths(p).tokenFile))
+      if (targets.length === 0) throw new Error(t('cli.noSignedInProfile'))
+      const results = []
+      for (const profile of targets) {
+        results.push({ profile: profile.id, ...(await runOneShotSync(profile)) })
+      }
+      return results
+    }
+    case 'pause':
+      await pauseSyncing('manual')
+      return { paused: true, message: t('tray.state.paused') }
+    case 'resume':
+      await resumeSyncing('manual')
+      return { paused: pauseReasons.size > 0, message: pauseReasons.size > 0 ? t('pause.stillPaused', { reasons: pauseReasonText() }) : t('pause.resumed') }
+    case 'reauth': {
+      const targets = controlProfiles(args.profile)
+      if (targets.length !== 1) throw new Error(t('cli.profileRequired'))
+      showWindow()
+      startOnedriveAuth(targets[0].id) // Anmeldung läuft im Fenster weiter
+      return { message: t('cli.reauthOpening', { name: targets[0].name }) }
+    }
+    case 'tail-log': {
+      const lines = Number.isInteger(args.lines) ? Math.min(Math.max(args.lines, 1), 1000) : 20
+      const profileId = args.profile ? controlProfiles(args.profile)[0].id : undefined
+      const { entries } = await syncLog.query({ profileId, limit: lines })
+      for (const entry of entries.reverse()) stream?.send('log', entry)
+      if (!args.follow || !stream) return { count: entries.length }
+      // Fortlaufend ausgeben, bis der Aufrufer die Verbindung beendet
+      return new Promise((resolve) => {
+        const unsubscribe = syncLog.subscribe((entry) => {
+          if (!profileId || entry.profileId === profileId) stream.send('log', entry)
+        })
+        stream.onClose(() => { unsubscribe(); resolve() })
+      })
+    }
+    default:
+      throw new Error(t('cli.unknownCommand', { command }))
+  }
+}
+
+// Beim App-Start: Für jedes Profil mit Token den Monitor automatisch starten
+function maybeStartMonitorIfToken() {
+  for (const profile of profiles.list()) {
+    try {
+      if (fssync.existsSync(profilePaths(profile).tokenFile)) {
+        startOnedriveMonitor(profile)
+      } else {
+        uiSend('auth-result', { status: 'info', key: 'auth.noStoredToken', params: { name: profile.name }, profileId: profile.id })
+      }
+    } catch (e) {
+      console.warn('Token check failed:', e?.message)
+    }
+  }
+}
+
+// Client-Ausgabe zeilenweise an die UI geben und in Sync-Ereignisse/Fortschritt übersetzen
+function attachClientOutput(child, profile, label, { onLine, onEvent } = {}) {
+  const parser = createOutputParser()
+  if (!progressTrackers.has(profile.id)) progressTrackers.set(profile.id, createProgressTracker())
+  const tracker = progressTrackers.get(profile.id)
+
+  const handleLine = (line, stream) => {
+    const msg = line.trim()
+    if (!msg) return
+    onLine?.(msg)
+    const event = parser.parseLine(msg)
+    const firstSync = event?.type === 'cycle-end' && !profiles.get(profile.id)?.lastSyncAt
+    if (event) onEvent?.(event)
+    let status = stream === 'stderr' ? 'warning' : 'info'
+    if (event?.type === 'error' || event?.type === 'auth-failed') status = 'error'
+    else if (event?.type === 'cycle-end') status = 'success'
+    uiSend('sync-result', { status, message: msg, profileId: profile.id, source: 'client' }, event?.type === 'error' ? 'sync-failed' : null)
+    if (event?.type === 'conflict-backup') registerConflict(profile, event).catch((e) => console.error('register-conflict error:', e?.message))
+    if (event?.type === 'auth-failed') markTokenInvalid(profile, event)
+    if (event) {
+      uiSend('sync-event', { ...event, profileId: profile.id })
+      const progress = tracker.apply(event)
+      uiSend('sync-progress', { ...progress, profileId: profile.id })
+      announceProgress(profile, event, progress, firstSync)
+      const item = activity.add(profile.id, event)
+      if (item) uiSend('activity-added', item)
+      if (event.type === 'cycle-end') refreshQuota(profiles.get(profile.id) || profile, { maxAgeMs: QUOTA_MIN_AGE_MS }).catch(() => {})
+    }
+  }
+
+  for (const stream of ['stdout', 'stderr']) {
+    const splitter = createLineSplitter((line) => handleLine(line, stream))
+    child[stream]?.on('data', (d) => {
+      console.log(`${label} ${stream} [${profile.id}]:`, d.toString())
+      splitter.push(d)
+    })
+    child[stream]?.on('end', () => splitter.flush())
+  }
+  // Prozess beendet → kein laufender Durchlauf mehr
+  child.once('exit', () => {
+    uiSend('sync-progress', { ...tracker.finish(), profileId: profile.id })
+  })
+}
+
+// Benachrichtigungen aus dem Verlauf eines Durchlaufs: viele Löschungen, erste Synchronisierung, Zusammenfassung
+function announceProgress(profile, event, progress, firstSync) {
+  const threshold = profiles.get(profile.id)?.deleteThreshold ?? DEFAULT_DELETE_THRESHOLD
+  if (event.type === 'delete' && progress.deleted === threshold + 1) {
+    uiSend('sync-result', { status: 'warning', key: 'sync.manyDeletions', params: { threshold }, profileId: profile.id }, 'large-deletion')
+  }
+  if (event.type !== 'cycle-end') return
+  const summary = formatCycleSummary(progress)
+  if (firstSync) {
+    uiSend('sync-result', { status: 'success', key: summary ? 'sync.firstSyncSummary' : 'sync.firstSync', params: { summary }, profileId: profile.id }, 'first-sync')
+  } else if (summary) {
+    uiSend('sync-result', { status: 'success', key: 'sync.cycleSummary', params: { summary }, profileId: profile.id }, 'cycle-summary')
+  }
+}
+
+// Benachrichtigung öffnet die App beim zugehörigen Protokolleintrag
+function showLogEntry(logId) {
+  showWindow()
+  uiSend('show-log', { logId })
+}
+
+// Auth- und Sync-Meldungen zusätzlich ins persistente Protokoll schreiben
+const LOGGED_CHANNELS = ['auth-result', 'sync-result']
+
+// Safe UI sender. notice: Kategorie einer Desktop-Benachrichtigung (notifications.js)
+// oder { category, title?, body?, onClick? }; ohne onClick öffnet ein Klick den Protokolleintrag.
+// Meldungen kommen als key/params (locales/*.json); message enthält den Text in der aktuellen Sprache.
+function uiSend(channel, payload, notice = null) {
+  if (payload?.key) payload = { ...payload, params: payload.params || {}, message: t(payload.key, payload.params) }
+  if (LOGGED_CHANNELS.includes(channel) && payload?.message) {
+    const entry = syncLog.write({
+      status: payload.status,
+      message: payload.message,
+      key: payload.key,
+      params: payload.params,
+      source: payload.source || channel.replace('-result', ''),
+      profileId: payload.profileId,
+      profileName: payload.profileId ? profiles.get(payload.profileId)?.name : undefined
+    })
+    payload = { ...payload, logId: entry.id }
+    if (notice) {
+      const { category, title, body, onClick } = typeof notice === 'string' ? { category: notice } : notice
+      const profileName = payload.profileId && profiles.list().length > 1 ? profiles.get(payload.profileId)?.name : null
+      notifier.notify({
+        category,
+        profileId: payload.profileId,
+        title: title || `OneDrive: ${notificationTitle(category)}${profileName ? ` ("${profileName}")` : ''}`,
+        body: body || payload.message,
+        key: payload.message,
+        onClick: onClick || (() => showLogEntry(entry.id))
+      })
+    }
+  }
   if (isQuitting) return
   try {
     if (win && !win.isDestroyed() && win.webContents && !win.webContents.isDestroyed()) {
@@ -0,0 +1,180 @@
+import { EventEmitter } from 'events' // State change notifications
+
+// Überwacht einen `onedrive --monitor` Prozess: Neustart mit exponentiellem Backoff,
+// kein Neustart bei nicht behebbaren Fehlern (z. B. ungültiges Token).
+//
+// Zustände:
+//   stopped      – nicht gestartet oder absichtlich beendet
+//   starting     – Prozess wird gestartet
+//   running      – Monitor läuft und wartet auf Änderungen
+//   syncing      – Sync-Durchlauf läuft (Monitor oder einmaliger Sync)
+//   backing-off  – Prozess ist beendet, Neustart nach Wartezeit geplant
+//   failed-auth  – Anmeldung ungültig, kein automatischer Neustart
+//   crashed      – Prozess abgestürzt und nicht behebbar oder zu viele Neustarts
+export const MONITOR_STATES = ['stopped', 'starting', 'running', 'syncing', 'backing-off', 'failed-auth', 'crashed']
+
+const ACTIVE_STATES = ['starting', 'running', 'syncing', 'backing-off']
+const FAILED_STATES = ['failed-auth', 'crashed']
+
+export function createMonitorSupervisor({
+  spawnMonitor, // () => ChildProcess
+  classifyExit = () => null, // ({ code, signal, error }) => null | { state, reason }  (nicht behebbar)
+  initialBackoffMs = 5000,
+  maxBackoffMs = 5 * 60 * 1000,
+  maxRetries = 10,
+  stableAfterMs = 60 * 1000, // so lange ohne Absturz → Backoff zurücksetzen
+  killTimeoutMs = 3000
+}) {
+  const emitter = new EventEmitter()
+  let child = null
+  let state = 'stopped'
+  let detail = {}
+  let attempt = 0
+  let retryTimer = null
+  let stableTimer = null
+  let stopping = null // Promise während stop()
+
+  const setState = (next, extra = {}) => {
+    state = next
+    detail = extra
+    emitter.emit('state', { state, ...detail })
+  }
+
+  const clearTimers = () => {
+    clearTimeout(retryTimer)
+    clearTimeout(stableTimer)
+    retryTimer = null
+    stableTimer = null
+  }
+
+  const launch = () => {
+    retryTimer = null
+    setState('starting', attempt ? { attempt } : {})
+    let proc
+    try {
+      proc = spawnMonitor()
+    } catch (error) {
+      onExit(null, null, null, error)
+      return
+    }
+    child = proc
+    proc.once('spawn', () => {
+      if (child !== proc) return
+      setState('running')
+      stableTimer = setTimeout(() => { attempt = 0 }, stableAfterMs)
+    })
+    proc.once('error', (error) => onExit(proc, null, null, error))
+    proc.once('exit', (code, signal) => onExit(proc, code, signal))
+  }
+
+  const onExit = (proc, code, signal, error) => {
+    if (proc && child !== proc) return
+    child = null
+    clearTimers()
+    if (stopping) return // Absichtlich beendet, stop() setzt den Zustand
+
+    const fatal = classifyExit({ code, signal, error })
+    if (fatal) {
+      attempt = 0
+      setState(fatal.state || 'crashed', { reason: fatal.reason, code })
+      return
+    }
+
+    attempt += 1
+    if (attempt > maxRetries) {
+      setState('crashed', { reason: 'too-many-restarts', code })
+      return
+    }
+    const retryInMs = Math.min(maxBackoffMs, initialBackoffMs * 2 ** (attempt - 1))
+    // Neuer Versuch folgt: nur 'backing-off', 'crashed' bleibt den endgültigen Fällen vorbehalten
+    setState('backing-off', { retryInMs, attempt, code, signal, reason: error?.message })
+    retryTimer = setTimeout(launch, retryInMs)
+  }
+
+  const supervisor = {
+    get state() { return state },
+    get detail() { return detail },
+    get pid() { return child?.pid },
+
+    isActive() {
+      return ACTIVE_STATES.includes(state)
+    },
+
+    start() {
+      if (child || retryTimer || stopping) return
+      attempt = 0
+      launch()
+    },
+
+    // Sanft stoppen (TERM, dann Timeout, dann KILL). War er aktiv? → true/false
+    stop() {
+      if (stopping) return stopping
+      const wasActive = supervisor.isActive()
+      clearTimers()
+      attempt = 0
+      const proc = child
+      if (!proc) {
+        if (state !== 'stopped' && state !== 'failed-auth' && state !== 'crashed') setState('stopped')
+        return Promise.resolve(wasActive)
+      }
+      stopping = new Promise((resolve) => {
+        let finished = false
+        const done = (forced) => {
+          if (finished) return
+          finished = true
+          clearTimeout(timeout)
+          child = null
+          stopping = null
+          setState('stopped', forced ? { reason: 'killed' } : {})
+          resolve(true)
+        }
+        const timeout = setTimeout(() => {
+          try { proc.kill('SIGKILL') } catch {}
+          done(true)
+        }, killTimeoutMs)
+        proc.once('exit', () => done(false))
+        try { proc.kill('SIGTERM') } catch { done(false) }
+      })
+      return stopping
+    },
+
+    // Einmaligen Sync exklusiv ausführen: Monitor stoppen, Aufgabe ausführen, Zustand "syncing" melden.
+    // Ob der Monitor danach wieder startet, entscheidet der Aufrufer. failed-auth/crashed von vorher gilt danach wieder.
+    async runExclusive(task) {
+      const wasActive = await supervisor.stop()
+      const failed = FAILED_STATES.includes(state) ? { state, detail } : null
+      setState('syncing', { oneShot: true })
+      try {
+        return await task(wasActive)
+      } finally {
+        if (state === 'syncing' && !child) {
+          if (failed) setState(failed.state, failed.detail)
+          else setState('stopped')
+        }
+      }
+    },
+
+    // Sync-Ereignisse aus der Client-Ausgabe (siehe sync-output.js)
+    handleEvent(event) {
+      if (!child) return
+      if (event.type === 'cycle-start' && state === 'running') setState('syncing')
+      else if (event.type === 'cycle-end' && state === 'syncing') {
+        attempt = 0
+        setState('running')
+      }
+    },
+
+    // Zustand ohne Prozess setzen (z. B. failed-auth nach einmaligem Sync)
+    markFailed(nextState, reason) {
+      if (child) return
+      clearTimers()
+      setState(nextState, { reason })
+    },
+
+    on(eventName, listener) {
+      emitter.on(eventName, listener)
+      return supervisor
+    }
+  }
+  return supervisor
+}
@@ -0,0 +1,85 @@
+import { t } from './i18n.js'
+
+// Desktop-Benachrichtigungen nach Kategorien, einzeln abschaltbar (App-Einstellungen).
+// Gleiche Sync-Fehler werden nur einmal pro repeatMs gemeldet, manche Kategorien höchstens einmal pro minIntervalMs.
+// Zusammenfassungen, Konflikte und Hinweise erscheinen immer (jeder Durchlauf, jede Datei ist eine neue Meldung).
+
+export const NOTIFICATION_CATEGORIES = ['sync-failed', 'conflict', 'large-deletion', 'sign-in-required', 'first-sync', 'cycle-summary']
+
+export const DEFAULT_NOTIFICATIONS = {
+  'sync-failed': true,
+  conflict: true,
+  'large-deletion': true,
+  'sign-in-required': true,
+  'first-sync': true,
+  'cycle-summary': false // Jeder Durchlauf mit Änderungen, z. B. "5 hochgeladen, 2 heruntergeladen"
+}
+
+export function notificationTitle(category) {
+  return t(`notifications.title.${category}`)
+}
+
+// Gespeicherte Einstellungen mit Defaults ergänzen (unbekannte Kategorien fallen weg)
+export function normalizeNotificationSettings(values) {
+  const result = { ...DEFAULT_NOTIFICATIONS }
+  for (const category of NOTIFICATION_CATEGORIES) {
+    if (typeof values?.[category] === 'boolean') result[category] = values[category]
+  }
+  return result
+}
+
+export function validateNotificationSettings(input) {
+  const errors = {}
+  for (const category of NOTIFICATION_CATEGORIES) {
+    if (input?.[category] !== undefined && typeof input[category] !== 'boolean') errors.notifications = t('validation.invalidValue')
+  }
+  return { ok: Object.keys(errors).length === 0, errors, values: normalizeNotificationSettings(input) }
+}
+
+// "5 hochgeladen, 2 heruntergeladen, 1 gelöscht" aus dem Fortschritt eines Durchlaufs (ohne Änderungen → null)
+export function formatCycleSummary(progress) {
+  const parts = []
+  if (progress.upload.done) parts.push(t('notifications.summary.uploaded', { count: progress.upload.done }))
+  if (progress.download.done) parts.push(t('notifications.summary.downloaded', { count: progress.download.done }))
+  if (progress.deleted) parts.push(t('notifications.summary.deleted', { count: progress.deleted }))
+  return parts.length ? parts.join(', ') : null
+}
+
+// Kategorien, deren wiederholte gleiche Meldung unterdrückt wird
+const REPEAT_CATEGORIES = ['sync-failed']
+
+const TIMESTAMP_RE = /\b\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?\b|\b\d{1,2}:\d{2}:\d{2}(?:[.,]\d+)?\b/g
+const ERROR_CODE_RE = /\b(code|status|http|error|fehler)(\s*[:#]?\s*)-?\d+\b/gi
+
+// Fehlermeldungen vergleichbar machen: nur Zeitstempel und Fehlercodes ignorieren (Dateinamen und Zähler bleiben)
+export function repeatKey(category, profileId, key) {
+  const text = String(key).replace(TIMESTAMP_RE, '#').replace(ERROR_CODE_RE, '$1$2#').toLowerCase()
+  return `${category}\0${profileId || ''}\0${text}`
+}
+
+// show        – ({ title, body, onClick }) => void
+// isEnabled   – (category) => boolean
+export function createNotifier({ show, isEnabled, repeatMs = 30 * 60 * 1000, minIntervalMs = { 'sync-failed': 5 * 60 * 1000 }, now = Date.now }) {
+  const lastByKey = new Map() // repeatKey → Zeitpunkt
+  const lastByCategory = new Map() // Kategorie + Profil → Zeitpunkt
+
+  return {
+    // → true, wenn die Benachrichtigung angezeigt wurde
+    notify({ category, profileId, title, body, key = body, onClick }) {
+      if (!isEnabled(category)) return false
+      const at = now()
+      const itemKey = REPEAT_CATEGORIES.includes(category) ? repeatKey(category, profileId, key) : null
+      if (itemKey && at - (lastByKey.get(itemKey) ?? -Infinity) < repeatMs) return false
+      const categoryKey = `${category}\0${profileId || ''}`
+      if (at - (lastByCategory.get(categoryKey) ?? -Infinity) < (minIntervalMs[category] || 0)) return false
+      if (itemKey) lastByKey.set(itemKey, at)
+      lastByCategory.set(categoryKey, at)
+      // Alte Einträge verwerfen, damit die Map nicht unbegrenzt wächst
+      if (lastByKey.size > 500) {
+        for (const [k, shownAt] of lastByKey) if (at - shownAt >= repeatMs) lastByKey.delete(k)
+      }
+      show({ title: title || notificationTitle(category), body, onClick })
+      return true
+    }
+  }
+}
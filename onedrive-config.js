@@ -0,0 +1,126 @@
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import { t } from './i18n.js'
+
+// Parser/Writer für die config-Datei des onedrive Clients (abraunegg).
+// Format: `key = "value"` pro Zeile, `#` leitet Kommentare ein. Kommentare,
+// Leerzeilen und unbekannte Schlüssel bleiben beim Speichern unverändert.
+
+const ENTRY_RE = /^\s*([A-Za-z0-9_]+)\s*=\s*(.*?)\s*$/
+
+function unquote(raw) {
+  const m = /^"(.*)"$/.exec(raw) || /^'(.*)'$/.exec(raw)
+  return m ? m[1] : raw
+}
+
+export function parseConfig(text) {
+  const lines = String(text || '').split(/\r?\n/)
+  if (lines.length && lines[lines.length - 1] === '') lines.pop() // Abschließender Zeilenumbruch
+  return {
+    lines: lines.map((raw) => {
+      const trimmed = raw.trim()
+      if (!trimmed) return { type: 'blank', raw }
+      if (trimmed.startsWith('#')) return { type: 'comment', raw }
+      const m = ENTRY_RE.exec(raw)
+      if (!m) return { type: 'invalid', raw }
+      return { type: 'entry', raw, key: m[1], value: unquote(m[2]) }
+    })
+  }
+}
+
+export function serializeConfig(doc) {
+  return doc.lines.map((line) => line.raw).join('\n') + '\n'
+}
+
+function formatEntry(key, value) {
+  return `${key} = "${String(value).replace(/"/g, '')}"`
+}
+
+// Erster Wert eines Schlüssels (oder undefined)
+export function getValue(doc, key) {
+  return doc.lines.find((line) => line.type === 'entry' && line.key === key)?.value
+}
+
+// Alle Werte eines Schlüssels (z. B. mehrfach angegebenes skip_dir)
+export function getValues(doc, key) {
+  return doc.lines.filter((line) => line.type === 'entry' && line.key === key).map((line) => line.value)
+}
+
+// Wert setzen: erste Zeile ersetzen, Duplikate entfernen, sonst anhängen. null/undefined entfernt den Schlüssel.
+export function setValue(doc, key, value) {
+  let replaced = false
+  doc.lines = doc.lines.filter((line) => {
+    if (line.type !== 'entry' || line.key !== key) return true
+    if (replaced || value === null || value === undefined) return false
+    replaced = true
+    line.value = String(value)
+    line.raw = formatEntry(key, value)
+    return true
+  })
+  if (!replaced && value !== null && value !== undefined) {
+    const entry = { type: 'entry', raw: formatEntry(key, value), key, value: String(value) }
+    // Direkt unter die auskommentierte Vorlage (`# key = ...`) setzen, falls vorhanden
+    const template = new RegExp(`^\\s*#\\s*${key}\\s*=`)
+    const index = doc.lines.findIndex((line) => line.type === 'comment' && template.test(line.raw))
+    if (index >= 0) doc.lines.splice(index + 1, 0, entry)
+    else doc.lines.push(entry)
+  }
+  return doc
+}
+
+export function expandHome(p) {
+  if (!p) return p
+  if (p === '~') return os.homedir()
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2))
+  return p
+}
+
+// Häufig genutzte Optionen für den Einstellungsdialog (Defaults laut Client-Doku).
+// sync_dir fehlt bewusst: Den Sync-Ordner ändert nur der Ordnerdialog (Dateien verschieben, --resync).
+export const SETTINGS = {
+  monitor_interval: { type: 'integer', default: 300, min: 300 },
+  rate_limit: { type: 'integer', default: 0, min: 131072, allowZero: true },
+  skip_dotfiles: { type: 'boolean', default: false },
+  upload_only: { type: 'boolean', default: false },
+  download_only: { type: 'boolean', default: false },
+  sync_business_shared_items: { type: 'boolean', default: false }
+}
+
+// Änderungen an diesen Optionen verlangen vom Client ein --resync
+export const RESYNC_KEYS = ['sync_dir', 'skip_dotfiles', 'skip_file', 'skip_dir', 'skip_symlinks', 'drive_id', 'sync_business_shared_items']
+
+// Aktuelle Werte der bekannten Optionen (mit Defaults) lesen
+export function readSettings(doc) {
+  const values = {}
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    const raw = getValue(doc, key)
+    if (raw === undefined) values[key] = spec.default
+    else if (spec.type === 'boolean') values[key] = raw.toLowerCase() === 'true'
+    else if (spec.type === 'integer') values[key] = Number.parseInt(raw, 10)
+    else values[key] = raw
+  }
+  return values
+}
+
+// Eingaben prüfen und normalisieren → { ok, errors, values }
+export function validateSettings(input) {
+  const errors = {}
+  const values = {}
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    if (!(key in (input || {}))) continue
+    const raw = input[key]
+    if (spec.type === 'boolean') {
+      if (typeof raw !== 'boolean') errors[key] = t('validation.onOff')
+      else values[key] = raw
+    } else if (spec.type === 'integer') {
+      const n = typeof raw === 'number' ? raw : Number(String(raw).trim())
+      if (!Number.isInteger(n) || n < 0) errors[key] = t('validation.integerMin0')
+      else if (n < spec.min && !(spec.allowZero && n === 0)) errors[key] = t(spec.allowZero ? 'validation.zeroOrMin' : 'validation.min', { min: spec.min })
+      else values[key] = n
+    }
+  }
+  if (values.upload_only && values.download_only) {
+    errors.download_only = t('validation.uploadDownloadOnly')
+  }
+  return { ok: Object.keys(errors).length === 0, errors, values }
+}
@@ -1,10 +1,132 @@
-const { contextBridge, ipcRenderer } = require("electron");
+const { contextBridge, ipcRenderer } = require('electron')
 
+// Typisierte, eng begrenzte Schnittstelle für index.html (statt invoke/on für beliebige Kanäle).
+// Die Argumente prüft zusätzlich der Main-Prozess.
 
+const INVOKE_CHANNELS = new Set([
+  'start-onedrive-auth', 'submit-auth-response', 'cancel-auth', 'sign-out', 'check-token',
+  'force-sync', 'resync', 'preview-sync', 'confirm-sync', 'start-monitor', 'pause-sync', 'resume-sync', 'open-sync-folder',
+  'list-profiles', 'add-profile', 'remove-profile',
+  'get-settings', 'save-settings', 'get-app-settings', 'save-app-settings',
+  'get-sync-list', 'save-sync-list', 'list-remote-folders',
+  'get-skip-rules', 'test-skip-rules', 'save-skip-rules',
+  'list-sharepoint-libraries', 'add-sharepoint-libraries',
+  'choose-sync-folder', 'validate-sync-folder', 'set-sync-folder',
+  'query-log', 'export-log',
+  'list-conflicts', 'resolve-conflict', 'reveal-conflict',
+  'get-dashboard', 'refresh-quota', 'open-activity-file', 'reveal-activity-file',
+  'run-diagnostics', 'create-support-bundle',
+  'get-i18n'
+])
 
+const EVENT_CHANNELS = new Set([
+  'auth-result', 'auth-response-required', 'sync-result', 'sync-event', 'sync-progress', 'monitor-state',
+  'profiles-changed', 'preview-required', 'sync-folder-required', 'folder-migration', 'show-log', 'show-conflicts',
+  'conflicts-changed', 'activity-added', 'quota-changed', 'language-changed'
+])
 
-contextBridge.exposeInMainWorld("ipcRenderer", {
-    sendSync: (channel, data) => ipcRenderer.sendSync(channel, data),
-    invoke: (channel, data) => ipcRenderer.invoke(channel, data), // async IPC
-    on: (channel, listener) => ipcRenderer.on(channel, listener)  // event listener
-  })
+function invoke(channel, ...args) {
+  if (!INVOKE_CHANNELS.has(channel)) throw new Error(`IPC channel not allowed: ${channel}`)
+  return ipcRenderer.invoke(channel, ...args)
+}
+
+// Listener erhält nur die Nutzdaten (nicht das IPC-Event) → Funktion zum Abmelden
+function subscribe(channel) {
+  if (!EVENT_CHANNELS.has(channel)) throw new Error(`IPC channel not allowed: ${channel}`)
+  return (callback) => {
+    if (typeof callback !== 'function') throw new TypeError('callback must be a function')
+    const listener = (_event, payload) => callback(payload)
+    ipcRenderer.on(channel, listener)
+    return () => ipcRenderer.removeListener(channel, listener)
+  }
+}
+
+contextBridge.exposeInMainWorld('api', {
+  auth: {
+    start: (profileId) => invoke('start-onedrive-auth', profileId),
+    submitResponse: (profileId, url) => invoke('submit-auth-response', profileId, url),
+    cancel: (profileId) => invoke('cancel-auth', profileId),
+    signOut: (profileId, options) => invoke('sign-out', profileId, options)
+  },
+  token: {
+    status: (profileId) => invoke('check-token', profileId)
+  },
+  sync: {
+    now: (profileId) => invoke('force-sync', profileId),
+    resync: (profileId) => invoke('resync', profileId),
+    preview: (profileId) => invoke('preview-sync', profileId),
+    confirm: (profileId, previewId) => invoke('confirm-sync', profileId, previewId),
+    startMonitor: (profileId) => invoke('start-monitor', profileId),
+    pause: () => invoke('pause-sync'),
+    resume: () => invoke('resume-sync'),
+    openFolder: (profileId) => invoke('open-sync-folder', profileId)
+  },
+  profiles: {
+    list: () => invoke('list-profiles'),
+    add: (name) => invoke('add-profile', name),
+    remove: (profileId) => invoke('remove-profile', profileId)
+  },
+  settings: {
+    get: (profileId) => invoke('get-settings', profileId),
+    save: (profileId, values) => invoke('save-settings', profileId, values),
+    getApp: () => invoke('get-app-settings'),
+    saveApp: (values) => invoke('save-app-settings', values)
+  },
+  syncList: {
+    get: (profileId) => invoke('get-sync-list', profileId),
+    save: (profileId, folders) => invoke('save-sync-list', profileId, folders),
+    remoteFolders: (profileId) => invoke('list-remote-folders', profileId)
+  },
+  skipRules: {
+    get: (profileId) => invoke('get-skip-rules', profileId),
+    test: (profileId, rules) => invoke('test-skip-rules', profileId, rules),
+    save: (profileId, rules) => invoke('save-skip-rules', profileId, rules)
+  },
+  libraries: {
+    list: (profileId, query) => invoke('list-sharepoint-libraries', profileId, query),
+    add: (profileId, options) => invoke('add-sharepoint-libraries', profileId, options)
+  },
+  syncFolder: {
+    choose: (profileId) => invoke('choose-sync-folder', profileId),
+    validate: (profileId, target, options) => invoke('validate-sync-folder', profileId, target, options),
+    set: (profileId, target, options) => invoke('set-sync-folder', profileId, target, options)
+  },
+  log: {
+    query: (filter) => invoke('query-log', filter),
+    export: (filter) => invoke('export-log', filter)
+  },
+  conflicts: {
+    list: (profileId) => invoke('list-conflicts', profileId),
+    resolve: (profileId, backupPath, action) => invoke('resolve-conflict', profileId, backupPath, action),
+    reveal: (profileId, backupPath) => invoke('reveal-conflict', profileId, backupPath)
+  },
+  dashboard: {
+    get: () => invoke('get-dashboard'),
+    refreshQuota: (profileId) => invoke('refresh-quota', profileId),
+    openFile: (activityId) => invoke('open-activity-file', activityId),
+    revealFile: (activityId) => invoke('reveal-activity-file', activityId)
+  },
+  diagnostics: {
+    run: () => invoke('run-diagnostics'),
+    createSupportBundle: () => invoke('create-support-bundle')
+  },
+  i18n: {
+    get: () => invoke('get-i18n')
+  },
+  onAuthResult: subscribe('auth-result'),
+  onAuthResponseRequired: subscribe('auth-response-required'),
+  onSyncResult: subscribe('sync-result'),
+  onSyncEvent: subscribe('sync-event'), // geparste Client-Ereignisse { type, …, profileId }
+  onSyncProgress: subscribe('sync-progress'),
+  onMonitorState: subscribe('monitor-state'), // Zustandswechsel des Monitors { state, …, profileId }
+  onProfilesChanged: subscribe('profiles-changed'),
+  onPreviewRequired: subscribe('preview-required'),
+  onSyncFolderRequired: subscribe('sync-folder-required'),
+  onFolderMigration: subscribe('folder-migration'),
+  onShowLog: subscribe('show-log'),
+  onShowConflicts: subscribe('show-conflicts'),
+  onConflictsChanged: subscribe('conflicts-changed'),
+  onActivityAdded: subscribe('activity-added'),
+  onQuotaChanged: subscribe('quota-changed'),
+  onLanguageChanged: subscribe('language-changed')
+})
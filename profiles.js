@@ -0,0 +1,91 @@
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import { createJsonStore } from './store.js'
+import { t } from './i18n.js'
+
+export const DEFAULT_PROFILE_ID = 'default'
+
+// Das Standardprofil nutzt die klassischen Pfade des onedrive Clients
+function defaultProfile() {
+  return {
+    id: DEFAULT_PROFILE_ID,
+    name: 'OneDrive',
+    confdir: path.join(os.homedir(), '.config', 'onedrive'),
+    syncDir: path.join(os.homedir(), 'OneDrive'), // Vorschlag, wird vor der ersten Anmeldung gewählt
+    managed: false // confdir wurde nicht von der App angelegt → beim Entfernen nicht löschen
+  }
+}
+
+function slugify(name) {
+  const slug = String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+  return slug || 'profil'
+}
+
+// Profilverwaltung (profiles.json im userData-Verzeichnis)
+export function createProfileStore(dataDir) {
+  const store = createJsonStore(path.join(dataDir, 'profiles.json'), { profiles: [defaultProfile()] })
+
+  const list = () => store.get('profiles')
+  const get = (id) => list().find((p) => p.id === id) || null
+
+  // extra: weitere Felder, z. B. syncDir und library ({ parentId, siteName, libraryName, driveId, url }) bei SharePoint-Bibliotheken
+  const add = (name, extra = {}) => {
+    const trimmed = String(name || '').trim()
+    if (!trimmed) throw new Error(t('profiles.error.nameMissing'))
+    if (list().some((p) => p.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(t('profiles.error.exists', { name: trimmed }))
+    }
+    const base = slugify(trimmed)
+    let id = base
+    for (let n = 2; get(id); n++) id = `${base}-${n}`
+    const profile = {
+      id,
+      name: trimmed,
+      confdir: path.join(os.homedir(), '.config', `onedrive-${id}`),
+      syncDir: path.join(os.homedir(), `OneDrive-${id}`),
+      managed: true,
+      ...extra
+    }
+    store.set('profiles', [...list(), profile])
+    return profile
+  }
+
+  const update = (id, patch) => {
+    const profiles = list().map((p) => (p.id === id ? { ...p, ...patch, id } : p))
+    store.set('profiles', profiles)
+    return get(id)
+  }
+
+  const remove = (id) => {
+    const profile = get(id)
+    if (!profile) return null
+    store.set('profiles', list().filter((p) => p.id !== id))
+    return profile
+  }
+
+  return { list, get, add, update, remove }
+}
+
+// Alle Dateipfade eines Profils
+export function profilePaths(profile) {
+  const authDir = path.join(profile.confdir, 'auth')
+  return {
+    confdir: profile.confdir,
+    authDir,
+    requestFile: path.join(authDir, 'request.url'),
+    responseFile: path.join(authDir, 'response.url'),
+    configFile: path.join(profile.confdir, 'config'),
+    tokenFile: path.join(profile.confdir, 'refresh_token'),
+    syncDir: profile.syncDir
+  }
+}
+
+// Eigene Session-Partition pro Konto, damit sich Cookies nicht vermischen
+export function authPartition(profile) {
+  return profile.id === DEFAULT_PROFILE_ID ? 'persist:onedrive-auth' : `persist:onedrive-auth-${profile.id}`
+}
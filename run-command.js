@@ -0,0 +1,21 @@
+import { spawn } from 'child_process' // Process spawning
+
+// Befehl ausführen und die gesamte Ausgabe sammeln
+export function runCommand(cmd, args, { timeoutMs = 15000 } = {}) {
+  return new Promise((resolve) => {
+    let stdout = ''
+    let stderr = ''
+    let p
+    try {
+      p = spawn(cmd, args)
+    } catch (error) {
+      resolve({ code: null, stdout, stderr, error })
+      return
+    }
+    const timeout = setTimeout(() => { try { p.kill() } catch {} }, timeoutMs)
+    p.stdout?.on('data', (d) => { stdout += d.toString() })
+    p.stderr?.on('data', (d) => { stderr += d.toString() })
+    p.on('error', (error) => { clearTimeout(timeout); resolve({ code: null, stdout, stderr, error }) })
+    p.on('close', (code, signal) => { clearTimeout(timeout); resolve({ code, signal, stdout, stderr }) })
+  })
+}
@@ -0,0 +1,72 @@
+import path from 'path' // Path utilities
+import { runCommand } from './run-command.js'
+import { t } from './i18n.js'
+
+// SharePoint-/Teams-Dokumentbibliotheken über `onedrive --get-sharepoint-drive-id` finden.
+// Jede Bibliothek wird ein eigenes Profil (eigener confdir mit drive_id, eigener Sync-Ordner und Monitor).
+//
+// Ausgabe des Clients pro Bibliothek:
+//   Site Name:    Kollegium
+//   Library Name: Dokumente
+//   drive_id:     b!6H_y8B…
+//   Library URL:  https://schule.sharepoint.com/sites/Kollegium/Shared%20Documents
+// Wird keine Website gefunden, listet er die verfügbaren Websites (" * Kollegium").
+
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[ T][\d:.]+\s+/
+const FIELD_RE = /^(Site Name|Library Name|drive_id|Library URL):\s*(.*)$/i
+const SITE_RE = /^\*\s+(.+)$/
+const NOT_FOUND_RE = /site could not be found/i
+
+// drive_id von SharePoint ("b!…", Base64url) bzw. OneDrive (Hex)
+const DRIVE_ID_RE = /^[A-Za-z0-9!_-]{8,200}$/
+
+function isValidDriveId(value) {
+  return typeof value === 'string' && DRIVE_ID_RE.test(value)
+}
+
+// → { libraries: [{ siteName, libraryName, driveId, url }], sites: [Name], notFound }
+export function parseSharePointOutput(text) {
+  const libraries = []
+  const sites = []
+  let current = null
+  let notFound = false
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.replace(TIMESTAMP_RE, '').trim()
+    if (NOT_FOUND_RE.test(line)) notFound = true
+    const field = FIELD_RE.exec(line)
+    if (field) {
+      const key = field[1].toLowerCase()
+      // Neuer Block bei "Site Name" oder einer weiteren Bibliothek derselben Website
+      if (key === 'site name' || !current || (key === 'library name' && current.libraryName)) {
+        current = { siteName: key === 'site name' ? '' : current?.siteName || '', libraryName: '', driveId: '', url: '' }
+        libraries.push(current)
+      }
+      if (key === 'site name') current.siteName = field[2].trim()
+      else if (key === 'library name') current.libraryName = field[2].trim()
+      else if (key === 'drive_id') current.driveId = field[2].trim()
+      else current.url = field[2].trim()
+      continue
+    }
+    const site = SITE_RE.exec(line)
+    if (site && !sites.includes(site[1].trim())) sites.push(site[1].trim())
+  }
+  return { libraries: libraries.filter((l) => isValidDriveId(l.driveId)), sites, notFound }
+}
+
+// Bibliotheken einer Website suchen ('*' bzw. unbekannter Name → nur die Liste der Websites)
+export async function listSharePointLibraries(confdir, query, { timeoutMs = 60000 } = {}) {
+  const result = await runCommand('onedrive', ['--confdir', confdir, '--get-sharepoint-drive-id', query || '*'], { timeoutMs })
+  if (result.error) throw new Error(t('common.spawnFailed', { error: result.error.message }))
+  const output = `${result.stdout}\n${result.stderr}`
+  return { ...parseSharePointOutput(output), code: result.code, output }
+}
+
+// Ordnername für eine Bibliothek, z. B. "Kollegium - Dokumente"
+function libraryFolderName({ siteName, libraryName }) {
+  const name = [siteName, libraryName].filter(Boolean).join(' - ')
+  return name.replace(/[/\\:*?"<>|\u0000-\u001f]+/g, '_').replace(/^\.+/, '').trim().slice(0, 120) || t('sharepoint.defaultFolderName')
+}
+
+export function librarySyncDir(baseDir, library) {
+  return path.join(baseDir, libraryFolderName(library))
+}
@@ -0,0 +1,197 @@
+import fs from 'fs/promises' // Promise-based FS API
+import path from 'path' // Path utilities
+import { getValue, getValues, setValue } from './onedrive-config.js'
+import { t } from './i18n.js'
+
+// Ausschlussregeln des Clients: skip_file, skip_dir, skip_dotfiles, skip_size.
+// skip_file/skip_dir sind durch | getrennte Muster (* und ?, ohne Beachtung der Groß-/Kleinschreibung).
+// Muster ohne / gelten für den Namen an jeder Stelle, Muster mit / für den Pfad relativ zum Sync-Ordner.
+// Der Tester bildet diese Regeln nach; maßgeblich bleibt die Vorschau (--dry-run) des Clients.
+
+export const SKIP_FILE_DEFAULT = ['~*', '.~*', '*.tmp', '*.swp', '*.partial']
+
+function splitPatterns(values) {
+  return values.flatMap((value) => value.split('|')).map((p) => p.trim()).filter(Boolean)
+}
+
+// Aktuelle Regeln lesen (mehrfach angegebene skip_file/skip_dir werden zusammengefasst)
+export function readSkipRules(doc) {
+  const files = getValues(doc, 'skip_file')
+  const size = Number.parseInt(getValue(doc, 'skip_size') ?? '0', 10)
+  return {
+    skip_file: files.length ? splitPatterns(files) : [...SKIP_FILE_DEFAULT],
+    skip_dir: splitPatterns(getValues(doc, 'skip_dir')),
+    skip_dotfiles: (getValue(doc, 'skip_dotfiles') || '').toLowerCase() === 'true',
+    skip_size: Number.isInteger(size) && size > 0 ? size : 0,
+    strictDirMatch: (getValue(doc, 'skip_dir_strict_match') || '').toLowerCase() === 'true'
+  }
+}
+
+function validatePatterns(list) {
+  if (!Array.isArray(list) || list.some((p) => typeof p !== 'string')) return { error: t('validation.invalidList') }
+  const patterns = [...new Set(list.map((p) => p.trim()).filter(Boolean))]
+  for (const pattern of patterns) {
+    if (pattern.includes('|')) return { error: t('skipRules.pipe', { pattern }) }
+    if (pattern.includes('"')) return { error: t('skipRules.quotes', { pattern }) }
+    if (pattern.length > 1024) return { error: t('skipRules.tooLong') }
+  }
+  return { patterns }
+}
+
+// Eingaben prüfen und normalisieren → { ok, errors, values }
+export function validateSkipRules(input) {
+  const errors = {}
+  const values = {}
+  for (const key of ['skip_file', 'skip_dir']) {
+    const { error, patterns } = validatePatterns(input?.[key])
+    if (error) errors[key] = error
+    else values[key] = patterns
+  }
+  if (typeof input?.skip_dotfiles !== 'boolean') errors.skip_dotfiles = t('validation.onOff')
+  else values.skip_dotfiles = input.skip_dotfiles
+  const size = typeof input?.skip_size === 'number' ? input.skip_size : Number(String(input?.skip_size ?? '').trim() || 0)
+  if (!Number.isInteger(size) || size < 0) errors.skip_size = t('skipRules.sizeInvalid')
+  else values.skip_size = size
+  return { ok: Object.keys(errors).length === 0, errors, values }
+}
+
+// Regeln in die Config schreiben; andere Einträge und Kommentare bleiben erhalten → geänderte Schlüssel
+export function writeSkipRules(doc, values) {
+  const before = readSkipRules(doc)
+  const changed = []
+  for (const key of ['skip_file', 'skip_dir']) {
+    if (before[key].join('|') === values[key].join('|')) continue
+    changed.push(key)
+    // Standardmuster → Eintrag entfernen (der Client nimmt dann seine Vorgabe); leeres skip_file bleibt als "" stehen
+    const isDefault = key === 'skip_file' && values[key].join('|') === SKIP_FILE_DEFAULT.join('|')
+    if (isDefault || (key === 'skip_dir' && values[key].length === 0)) setValue(doc, key, null)
+    else setValue(doc, key, values[key].join('|'))
+  }
+  if (before.skip_dotfiles !== values.skip_dotfiles) {
+    changed.push('skip_dotfiles')
+    setValue(doc, 'skip_dotfiles', values.skip_dotfiles ? 'true' : 'false')
+  }
+  if (before.skip_size !== values.skip_size) {
+    changed.push('skip_size')
+    setValue(doc, 'skip_size', values.skip_size > 0 ? values.skip_size : null)
+  }
+  return changed
+}
+
+// Muster → RegExp (* = beliebig viele Zeichen, ? = ein Zeichen)
+function globToRegExp(pattern) {
+  return pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')
+}
+
+// Ein Muster gegen Name und Pfad (relativ zum Sync-Ordner, mit / getrennt) prüfen
+function compilePattern(pattern, { strict = false } = {}) {
+  const source = globToRegExp(pattern.replace(/^\.\//, '').replace(/\/+$/, ''))
+  if (pattern.startsWith('/')) {
+    const re = new RegExp(`^${source}$`, 'i')
+    return (name, relPath) => re.test(`/${relPath}`)
+  }
+  if (pattern.includes('/') || strict) {
+    // Teilpfad: endet an einer Ordnergrenze (bei strikter Prüfung nur ab dem Sync-Ordner)
+    const re = new RegExp(strict ? `^${source}$` : `(?:^|/)${source}$`, 'i')
+    return (name, relPath) => re.test(relPath)
+  }
+  const re = new RegExp(`^${source}$`, 'i')
+  return (name) => re.test(name)
+}
+
+// Regeln in einen Matcher übersetzen → matchDir/matchFile geben die auslösende Regel zurück (oder null)
+export function compileSkipRules(rules) {
+  const dirRules = rules.skip_dir.map((pattern) => ({ rule: 'skip_dir', pattern, test: compilePattern(pattern, { strict: rules.strictDirMatch }) }))
+  const fileRules = rules.skip_file.map((pattern) => ({ rule: 'skip_file', pattern, test: compilePattern(pattern) }))
+  const dotRule = { rule: 'skip_dotfiles', pattern: '.*' }
+  const sizeRule = { rule: 'skip_size', pattern: `> ${rules.skip_size} MB` }
+  return {
+    matchDir(name, relPath) {
+      if (rules.skip_dotfiles && name.startsWith('.')) return dotRule
+      return dirRules.find((r) => r.test(name, relPath)) || null
+    },
+    matchFile(name, relPath, size) {
+      if (rules.skip_dotfiles && name.startsWith('.')) return dotRule
+      const match = fileRules.find((r) => r.test(name, relPath))
+      if (match) return match
+      if (rules.skip_size > 0 && size > rules.skip_size * 1024 * 1024) return sizeRule
+      return null
+    }
+  }
+}
+
+// Sync-Ordner durchlaufen und zählen, was jede Regel ausschließen würde.
+// → { rules: [{ rule, pattern, files, dirs, bytes, examples }], totals: { files, dirs, bytes, scanned }, truncated }
+export async function testSkipRules(syncDir, rules, { maxEntries = 200000, maxExamples = 20 } = {}) {
+  const matcher = compileSkipRules(rules)
+  const byRule = new Map()
+  const totals = { files: 0, dirs: 0, bytes: 0, scanned: 0 }
+  const hit = (match) => {
+    const key = `${match.rule}\0${match.pattern}`
+    if (!byRule.has(key)) byRule.set(key, { rule: match.rule, pattern: match.pattern, files: 0, dirs: 0, bytes: 0, examples: [] })
+    return byRule.get(key)
+  }
+  const addExample = (entry, relPath, isDir) => {
+    if (entry.examples.length < maxExamples) entry.examples.push(isDir ? `${relPath}/` : relPath)
+  }
+  const sizeOf = async (full) => {
+    try { return (await fs.lstat(full)).size } catch { return 0 }
+  }
+
+  // Inhalt eines ausgeschlossenen Ordners der auslösenden Regel zurechnen
+  const countSkippedTree = async (dir, entry) => {
+    const pending = [dir]
+    while (pending.length && totals.scanned < maxEntries) {
+      const current = pending.pop()
+      let items = []
+      try { items = await fs.readdir(current, { withFileTypes: true }) } catch { continue }
+      for (const item of items) {
+        totals.scanned += 1
+        const full = path.join(current, item.name)
+        if (item.isDirectory()) pending.push(full)
+        else {
+          const size = await sizeOf(full)
+          entry.files += 1
+          entry.bytes += size
+          totals.files += 1
+          totals.bytes += size
+        }
+      }
+    }
+  }
+
+  const pending = ['']
+  while (pending.length && totals.scanned < maxEntries) {
+    const rel = pending.pop()
+    let items = []
+    try { items = await fs.readdir(path.join(syncDir, rel), { withFileTypes: true }) } catch { continue }
+    for (const item of items) {
+      totals.scanned += 1
+      const relPath = rel ? `${rel}/${item.name}` : item.name
+      const full = path.join(syncDir, relPath)
+      if (item.isDirectory()) {
+        const match = matcher.matchDir(item.name, relPath)
+        if (!match) {
+          pending.push(relPath)
+          continue
+        }
+        const entry = hit(match)
+        entry.dirs += 1
+        totals.dirs += 1
+        addExample(entry, relPath, true)
+        await countSkippedTree(full, entry)
+      } else {
+        const size = await sizeOf(full)
+        const match = matcher.matchFile(item.name, relPath, size)
+        if (!match) continue
+        const entry = hit(match)
+        entry.files += 1
+        entry.bytes += size
+        totals.files += 1
+        totals.bytes += size
+        addExample(entry, relPath, false)
+      }
+    }
+  }
+  return { rules: [...byRule.values()], totals, truncated: totals.scanned >= maxEntries }
+}
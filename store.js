@@ -0,0 +1,34 @@
+import fs from 'fs' // Sync FS API (files are tiny)
+import path from 'path' // Path utilities
+
+// Kleiner JSON-Speicher im App-Datenverzeichnis
+export function createJsonStore(file, defaults = {}) {
+  let data = null
+
+  const load = () => {
+    if (data) return data
+    try {
+      data = { ...structuredClone(defaults), ...JSON.parse(fs.readFileSync(file, 'utf8')) }
+    } catch {
+      data = structuredClone(defaults)
+    }
+    return data
+  }
+
+  const save = () => {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      const tmp = `${file}.tmp`
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf8')
+      fs.renameSync(tmp, file) // Atomar ersetzen
+    } catch (e) {
+      console.warn('Could not write', file, e?.message)
+    }
+  }
+
+  return {
+    get(key) { return load()[key] },
+    set(key, value) { load()[key] = value; save() },
+    all() { return load() }
+  }
+}
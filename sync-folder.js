@@ -0,0 +1,230 @@
+import fs from 'fs/promises' // Promise-based FS API
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import { t } from './i18n.js'
+
+// Lokalen Sync-Ordner eines Profils prüfen und (auch über Dateisystemgrenzen) verschieben.
+
+const LOW_SPACE_BYTES = 1024 * 1024 * 1024 // Unter 1 GB frei → Warnung
+
+function isInside(child, parent) {
+  const rel = path.relative(parent, child)
+  return rel === '' || (!!rel && !rel.startsWith('..') && !path.isAbsolute(rel))
+}
+
+// Nächstes existierendes Verzeichnis (für Schreibrecht und freien Platz eines noch nicht angelegten Ordners)
+async function existingAncestor(dir) {
+  let current = dir
+  for (;;) {
+    try {
+      const stat = await fs.stat(current)
+      return { dir: current, stat }
+    } catch {}
+    const parent = path.dirname(current)
+    if (parent === current) return null
+    current = parent
+  }
+}
+
+async function listNames(dir) {
+  try { return await fs.readdir(dir) } catch { return null }
+}
+
+// Dateien und Bytes eines Ordners zählen (Symlinks werden nicht verfolgt)
+export async function measureTree(dir) {
+  let files = 0
+  let bytes = 0
+  const pending = [dir]
+  while (pending.length) {
+    const current = pending.pop()
+    let entries = []
+    try { entries = await fs.readdir(current, { withFileTypes: true }) } catch { continue }
+    for (const entry of entries) {
+      const full = path.join(current, entry.name)
+      if (entry.isDirectory()) pending.push(full)
+      else if (entry.isFile()) {
+        files += 1
+        try { bytes += (await fs.stat(full)).size } catch {}
+      } else if (entry.isSymbolicLink()) files += 1
+    }
+  }
+  return { files, bytes }
+}
+
+// Zielordner prüfen.
+//   currentDir    – bisheriger Sync-Ordner des Profils (Quelle beim Verschieben)
+//   otherDirs     – Sync- und Konfigurationsordner anderer Profile
+//   move          – vorhandene Dateien sollen mitverschoben werden
+//   acceptExisting – Nutzer bestätigt, dass ein nicht leerer Ordner bereits eine Kopie des OneDrive ist
+// → { ok, errors, warnings, state: 'missing' | 'empty' | 'mirror' | 'not-empty' | 'current', freeBytes, requiredBytes, source }
+export async function validateSyncFolder(target, { currentDir, confdir, otherDirs = [], move = false, acceptExisting = false } = {}) {
+  const errors = []
+  const warnings = []
+  const result = { ok: false, errors, warnings, state: 'missing', freeBytes: null, requiredBytes: 0, source: null }
+  const dir = path.resolve(String(target || ''))
+  if (!target || !path.isAbsolute(String(target))) {
+    errors.push(t('folder.error.notAbsolute'))
+    return result
+  }
+  if (dir === path.parse(dir).root || dir === os.homedir()) {
+    errors.push(t('folder.error.rootOrHome'))
+    return result
+  }
+  if (currentDir && path.resolve(currentDir) === dir) {
+    result.state = 'current'
+    result.ok = true
+    return result
+  }
+  if (confdir && (isInside(dir, confdir) || isInside(confdir, dir))) {
+    errors.push(t('folder.error.confdir'))
+  }
+  for (const other of otherDirs) {
+    if (isInside(dir, other) || isInside(other, dir)) {
+      errors.push(t('folder.error.overlap', { path: other }))
+    }
+  }
+  if (move && currentDir && isInside(dir, currentDir)) {
+    errors.push(t('folder.error.insideCurrent'))
+  }
+
+  // Schreibrecht und freier Platz
+  const ancestor = await existingAncestor(dir)
+  if (!ancestor) {
+    errors.push(t('folder.error.unreachable'))
+    return result
+  }
+  if (ancestor.dir === dir && !ancestor.stat.isDirectory()) {
+    errors.push(t('folder.error.notDirectory'))
+    return result
+  }
+  try {
+    await fs.access(ancestor.dir, fs.constants.W_OK)
+  } catch {
+    errors.push(t('folder.error.notWritable', { path: ancestor.dir }))
+  }
+  try {
+    const stats = await fs.statfs(ancestor.dir)
+    result.freeBytes = stats.bavail * stats.bsize
+  } catch {}
+
+  // Inhalt des Zielordners
+  const names = ancestor.dir === dir ? await listNames(dir) : null
+  if (names && names.length > 0) {
+    const currentNames = currentDir ? await listNames(currentDir) : null
+    const overlap = currentNames?.length ? names.filter((n) => currentNames.includes(n)).length / names.length : 0
+    if (overlap >= 0.5 || acceptExisting) {
+      result.state = 'mirror'
+    } else {
+      result.state = 'not-empty'
+      errors.push(t('folder.error.notEmpty'))
+    }
+    if (move && result.state === 'mirror') {
+      warnings.push(t('folder.warning.mirror'))
+    }
+  } else if (names) {
+    result.state = 'empty'
+  }
+
+  // Beim Verschieben auf ein anderes Dateisystem wird der Platz der vorhandenen Dateien benötigt
+  if (move && currentDir && result.state !== 'mirror') {
+    result.source = await measureTree(currentDir)
+    let sameDevice = false
+    try { sameDevice = (await fs.stat(currentDir)).dev === ancestor.stat.dev } catch {}
+    result.requiredBytes = sameDevice ? 0 : result.source.bytes
+  }
+  if (result.freeBytes !== null) {
+    if (result.requiredBytes > result.freeBytes) {
+      errors.push(t('folder.error.noSpace', { required: formatBytes(result.requiredBytes), free: formatBytes(result.freeBytes) }))
+    } else if (result.freeBytes - result.requiredBytes < LOW_SPACE_BYTES) {
+      warnings.push(t('folder.warning.lowSpace', { free: formatBytes(result.freeBytes) }))
+    }
+  }
+  result.ok = errors.length === 0
+  return result
+}
+
+// Freier Platz auf dem Laufwerk des Sync-Ordners → { freeBytes, totalBytes, low } oder null
+export async function readFreeSpace(dir) {
+  const ancestor = await existingAncestor(path.resolve(String(dir || '')))
+  if (!ancestor) return null
+  try {
+    const stats = await fs.statfs(ancestor.dir)
+    const freeBytes = stats.bavail * stats.bsize
+    const totalBytes = stats.blocks * stats.bsize
+    return { freeBytes, totalBytes, low: freeBytes < LOW_SPACE_BYTES || freeBytes < totalBytes * 0.05 }
+  } catch {
+    return null
+  }
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  const units = ['KB', 'MB', 'GB', 'TB']
+  let value = bytes / 1024
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) { value /= 1024; unit++ }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`
+}
+
+// Dateien kopieren (Zeitstempel bleiben erhalten, damit der Client sie nicht als geändert ansieht)
+async function copyTree(from, to, progress) {
+  await fs.mkdir(to, { recursive: true })
+  for (const entry of await fs.readdir(from, { withFileTypes: true })) {
+    const src = path.join(from, entry.name)
+    const dest = path.join(to, entry.name)
+    if (entry.isDirectory()) {
+      await copyTree(src, dest, progress)
+    } else if (entry.isSymbolicLink()) {
+      await fs.symlink(await fs.readlink(src), dest)
+      progress.file(src, 0)
+    } else if (entry.isFile()) {
+      const stat = await fs.stat(src)
+      await fs.copyFile(src, dest, fs.constants.COPYFILE_EXCL)
+      await fs.utimes(dest, stat.atime, stat.mtime)
+      progress.file(src, stat.size)
+    }
+  }
+  const stat = await fs.stat(from)
+  await fs.utimes(to, stat.atime, stat.mtime)
+}
+
+// Sync-Ordner verschieben: auf demselben Dateisystem per rename, sonst kopieren und danach die Quelle löschen.
+// Bei einem Fehler bleibt die Quelle vollständig erhalten.
+// onProgress({ done, total, bytesDone, bytesTotal, currentFile })
+export async function moveSyncFolder(from, to, { onProgress } = {}) {
+  const names = await listNames(to)
+  if (names && names.length > 0) throw new Error(t('folder.error.targetNotEmpty'))
+  if (names) await fs.rmdir(to)
+  await fs.mkdir(path.dirname(to), { recursive: true })
+  try {
+    await fs.rename(from, to)
+    onProgress?.({ done: 1, total: 1, bytesDone: 0, bytesTotal: 0, currentFile: null })
+    return { copied: false }
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e
+  }
+
+  const { files, bytes } = await measureTree(from)
+  const state = { done: 0, total: files, bytesDone: 0, bytesTotal: bytes, currentFile: null }
+  let lastReport = 0
+  const progress = {
+    file(src, size) {
+      state.done += 1
+      state.bytesDone += size
+      state.currentFile = path.relative(from, src)
+      const now = Date.now()
+      if (now - lastReport > 250 || state.done === state.total) {
+        lastReport = now
+        onProgress?.({ ...state })
+      }
+    }
+  }
+  try {
+    await copyTree(from, to, progress)
+  } catch (e) {
+    await fs.rm(to, { recursive: true, force: true }) // Halbe Kopie entfernen, Quelle bleibt
+    throw e
+  }
+  await fs.rm(from, { recursive: true, force: true })
+  return { copied: true }
+}
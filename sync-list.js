@@ -0,0 +1,114 @@
+import fs from 'fs/promises' // Promise-based FS API
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import crypto from 'crypto' // Hashing
+import { spawn } from 'child_process' // Process spawning
+import { createLineSplitter } from './sync-output.js'
+import { t } from './i18n.js'
+
+// Verwaltung der sync_list-Datei (selektive Synchronisation) eines Profils.
+// Einfache Ordnerregeln (`/Ordner/Unterordner/`) verwaltet die App, alle anderen
+// Zeilen (Kommentare, Ausschlüsse, Wildcards) bleiben beim Speichern erhalten.
+
+const HEADER = '# Managed by LiFE OneDrive Sync - folder rules are replaced on save'
+const FOLDER_RULE_RE = /^\/[^*?]+\/\*?$/ // z. B. `/Dokumente/` oder `/Dokumente/*`
+
+export function syncListFile(profile) {
+  return path.join(profile.confdir, 'sync_list')
+}
+
+function normalizeFolder(folder) {
+  return String(folder).replace(/\\/g, '/').replace(/^\.?\/+/, '').replace(/\/+$/, '').trim()
+}
+
+function isFolderRule(line) {
+  const trimmed = line.trim()
+  return !!trimmed && trimmed !== HEADER && FOLDER_RULE_RE.test(trimmed)
+}
+
+// Ordnerregeln und sonstige Zeilen trennen
+export function parseSyncList(text) {
+  const folders = []
+  const other = []
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (line.trim() === HEADER) continue
+    if (isFolderRule(line)) folders.push(normalizeFolder(line.trim().replace(/\/\*$/, '')))
+    else if (line.trim()) other.push(line)
+  }
+  return { folders, other }
+}
+
+// Neue sync_list erzeugen; leere Auswahl ohne weitere Regeln → null (alles synchronisieren)
+export function buildSyncList(selected, other = []) {
+  const folders = [...new Set(selected.map(normalizeFolder).filter(Boolean))].sort()
+  // Unterordner eines bereits gewählten Ordners sind überflüssig
+  const minimal = folders.filter((f) => !folders.some((parent) => parent !== f && f.startsWith(`${parent}/`)))
+  if (minimal.length === 0 && other.length === 0) return null
+  return [HEADER, ...other, ...minimal.map((f) => `/${f}/`)].join('\n') + '\n'
+}
+
+export async function readSyncList(profile) {
+  try {
+    return await fs.readFile(syncListFile(profile), 'utf8')
+  } catch {
+    return ''
+  }
+}
+
+// null löscht die Datei
+export async function writeSyncList(profile, content) {
+  const file = syncListFile(profile)
+  if (content === null) {
+    await fs.rm(file, { force: true })
+  } else {
+    await fs.mkdir(profile.confdir, { recursive: true })
+    await fs.writeFile(file, content, 'utf8')
+  }
+}
+
+export function hashSyncList(text) {
+  return crypto.createHash('sha256').update(String(text || '')).digest('hex')
+}
+
+// Remote-Ordnerstruktur über einen Dry-Run des Clients im echten Profil ermitteln (Token und Konfiguration bleiben, wo sie sind).
+// --syncdir zeigt auf einen leeren temporären Ordner, damit der Client alle Ordner als "neu" meldet; --dry-run arbeitet
+// auf einer Kopie der Datenbank und ändert weder lokal noch in OneDrive etwas. Die aktuelle sync_list gilt auch hier:
+// Mit Ordnerregeln erscheinen nur die bereits eingeschlossenen Ordner.
+// Der Aufrufer hält den Monitor solange an (gleiche Datenbank).
+export async function listRemoteFolders(profile, { timeoutMs = 10 * 60 * 1000 } = {}) {
+  const syncDir = await fs.mkdtemp(path.join(os.tmpdir(), 'onedrive-tree-'))
+  try {
+    const folders = new Set()
+    await new Promise((resolve, reject) => {
+      const p = spawn('onedrive', [
+        '--confdir', profile.confdir, '--syncdir', syncDir,
+        '--sync', '--download-only', '--dry-run', '--resync', '--resync-auth', '--verbose'
+      ])
+      const onLine = (line) => {
+        const m = /Creating local directory:\s*(.+?)\s*$/i.exec(line)
+        if (m) {
+          const folder = normalizeFolder(path.relative(syncDir, path.resolve(syncDir, m[1])))
+          if (folder && !folder.startsWith('..')) folders.add(folder)
+        }
+      }
+      const splitters = [createLineSplitter(onLine), createLineSplitter(onLine)]
+      p.stdout?.on('data', (d) => splitters[0].push(d))
+      p.stderr?.on('data', (d) => splitters[1].push(d))
+      const timeout = setTimeout(() => {
+        try { p.kill() } catch {}
+        reject(new Error(t('syncList.timeout')))
+      }, timeoutMs)
+      p.on('error', (err) => { clearTimeout(timeout); reject(err) })
+      // 'close' statt 'exit': erst dann ist die Ausgabe vollständig gelesen
+      p.on('close', (code) => {
+        clearTimeout(timeout)
+        for (const splitter of splitters) splitter.flush()
+        if (code === 0) resolve()
+        else reject(new Error(t('syncList.failed', { code })))
+      })
+    })
+    return [...folders].sort()
+  } finally {
+    await fs.rm(syncDir, { recursive: true, force: true })
+  }
+}
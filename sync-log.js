@@ -0,0 +1,200 @@
+import fs from 'fs/promises' // Promise-based FS API
+import fssync from 'fs' // Sync FS API
+import path from 'path' // Path utilities
+
+// Persistentes Protokoll aller Auth-, Monitor- und Sync-Ereignisse.
+// Eine JSON-Zeile pro Eintrag in <dir>/sync.log; rotiert nach Größe oder Alter des ersten Eintrags, alte Dateien werden nach Alter gelöscht.
+// message ist der Text in der Sprache beim Schreiben; key/params erlauben der Oberfläche, ihn neu zu übersetzen.
+
+const CURRENT = 'sync.log'
+const ROTATED_RE = /^sync-(\d+)\.log$/
+
+export const LOG_LEVELS = ['error', 'warning', 'info', 'success']
+
+function toLevel(status) {
+  if (status === 'completed') return 'success'
+  return LOG_LEVELS.includes(status) ? status : 'info'
+}
+
+// Eine Zeile pro Eintrag (Export, tail-log)
+export function formatLogEntry(e) {
+  const profile = e.profileName || e.profileId
+  return `${new Date(e.ts).toISOString()} [${e.level.toUpperCase()}] [${e.source}]${profile ? ` [${profile}]` : ''} ${e.message}`
+}
+
+export function createSyncLog({ dir, maxBytes = 1024 * 1024, maxFiles = 10, maxAgeDays = 14, flushDelayMs = 500 }) {
+  const currentFile = path.join(dir, CURRENT)
+  let pending = []
+  let flushTimer = null
+  let flushing = Promise.resolve()
+  let seq = 0
+  let cache = null // Alle Einträge (älteste zuerst): einmal gelesen, danach von write() ergänzt; höchstens maxFiles × maxBytes
+  let loading = null // { promise, written } während des ersten Lesens
+  const listeners = new Set()
+
+  const rotatedFiles = async () => {
+    let names = []
+    try { names = await fs.readdir(dir) } catch { return [] }
+    return names.filter((n) => ROTATED_RE.test(n)).sort().reverse().map((n) => path.join(dir, n)) // Neueste zuerst
+  }
+
+  const cutoffTs = () => Date.now() - maxAgeDays * 24 * 60 * 60 * 1000
+
+  // Alte Dateien löschen: mehr als maxFiles oder älter als maxAgeDays
+  const prune = async () => {
+    const cutoff = cutoffTs()
+    const files = await rotatedFiles()
+    for (const [index, file] of files.entries()) {
+      const stamp = Number(ROTATED_RE.exec(path.basename(file))[1])
+      if (index >= maxFiles - 1 || stamp < cutoff) {
+        try { await fs.unlink(file) } catch {}
+        cache = null // Gelöschte Einträge beim nächsten Lesen nicht mehr liefern
+      }
+    }
+  }
+
+  // Zeitpunkt des ersten Eintrags in sync.log (nur der Anfang der Datei wird gelesen)
+  const firstEntryTs = async () => {
+    let handle
+    try {
+      handle = await fs.open(currentFile, 'r')
+      const buffer = Buffer.alloc(16 * 1024)
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0)
+      const ts = JSON.parse(buffer.toString('utf8', 0, bytesRead).split('\n')[0]).ts
+      return typeof ts === 'number' ? ts : null
+    } catch {
+      return null
+    } finally {
+      await handle?.close()
+    }
+  }
+
+  // Zu groß oder erster Eintrag älter als maxAgeDays → neue Datei beginnen (sonst wächst ein ruhiges Protokoll ewig)
+  const rotateIfNeeded = async () => {
+    let size = 0
+    try { size = (await fs.stat(currentFile)).size } catch { return }
+    if (size < maxBytes) {
+      const first = await firstEntryTs()
+      if (first === null || first >= cutoffTs()) return
+    }
+    await fs.rename(currentFile, path.join(dir, `sync-${Date.now()}.log`))
+    await prune()
+  }
+
+  const flush = () => {
+    clearTimeout(flushTimer)
+    flushTimer = null
+    if (pending.length === 0) return flushing
+    const chunk = pending.join('')
+    pending = []
+    flushing = flushing.then(async () => {
+      try {
+        await fs.mkdir(dir, { recursive: true })
+        await fs.appendFile(currentFile, chunk, 'utf8')
+        await rotateIfNeeded()
+      } catch (e) {
+        console.warn('Could not write sync log:', e?.message)
+      }
+    })
+    return flushing
+  }
+
+  // Dateien nur beim ersten Zugriff (und nach dem Löschen alter Dateien) lesen, in der Schreib-Warteschlange.
+  // Was noch nicht in den Dateien stehen kann (pending und alles, was währenddessen geschrieben wird), kommt aus written.
+  const readEntries = () => {
+    if (cache) return Promise.resolve(cache)
+    if (!loading) {
+      const written = pending.map((line) => JSON.parse(line))
+      const promise = flushing.then(async () => {
+        const entries = []
+        for (const file of [...(await rotatedFiles()).reverse(), currentFile]) {
+          let text = ''
+          try { text = await fs.readFile(file, 'utf8') } catch { continue }
+          for (const line of text.split('\n')) {
+            if (!line) continue
+            try { entries.push(JSON.parse(line)) } catch {}
+          }
+        }
+        const ids = new Set(entries.map((e) => e.id))
+        for (const entry of written) if (!ids.has(entry.id)) entries.push(entry)
+        cache = entries
+        return entries
+      }).finally(() => { loading = null })
+      loading = { promise, written }
+      flushing = promise.catch(() => {})
+    }
+    return loading.promise
+  }
+
+  // Passende Einträge, neueste zuerst
+  const filtered = async (filter) => {
+    const entries = await readEntries()
+    const result = []
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (matches(entries[i], filter)) result.push(entries[i])
+    }
+    return result
+  }
+
+  const matches = (entry, { level, text, profileId, from, to }) => {
+    if (level && entry.level !== level) return false
+    if (profileId && entry.profileId !== profileId) return false
+    if (from && entry.ts < from) return false
+    if (to && entry.ts > to) return false
+    if (text && !`${entry.message} ${entry.profileName || ''}`.toLowerCase().includes(String(text).toLowerCase())) return false
+    return true
+  }
+
+  flushing = rotateIfNeeded().then(prune).catch(() => {})
+
+  return {
+    // Eintrag schreiben → Eintrag mit id (z. B. für Verweise aus Benachrichtigungen)
+    write({ status, message, key, params, source, profileId, profileName }) {
+      const ts = Date.now()
+      const entry = { id: `${ts.toString(36)}-${(seq++).toString(36)}`, ts, level: toLevel(status), source: source || 'app', message: String(message ?? '') }
+      if (key) Object.assign(entry, { key, params: params || {} })
+      if (profileId) entry.profileId = profileId
+      if (profileName) entry.profileName = profileName
+      pending.push(JSON.stringify(entry) + '\n')
+      if (cache) cache.push(entry)
+      else loading?.written.push(entry)
+      if (!flushTimer) flushTimer = setTimeout(flush, flushDelayMs)
+      for (const listener of listeners) listener(entry)
+      return entry
+    },
+
+    // Neue Einträge verfolgen (z. B. tail-log) → Funktion zum Abmelden
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    // Seite von Einträgen (neueste zuerst) mit Filter
+    async query({ offset = 0, limit = 200, ...filter } = {}) {
+      const entries = await filtered(filter)
+      return { entries: entries.slice(offset, offset + limit), total: entries.length }
+    },
+
+    // Zeitraum als Text für Support-Anfragen (älteste zuerst)
+    async exportText(filter = {}) {
+      const entries = (await filtered(filter)).reverse()
+      const lines = entries.map(formatLogEntry)
+      return { text: lines.join('\n') + (lines.length ? '\n' : ''), count: lines.length }
+    },
+
+    flush,
+
+    // Beim Beenden synchron wegschreiben
+    flushSync() {
+      clearTimeout(flushTimer)
+      if (pending.length === 0) return
+      try {
+        fssync.mkdirSync(dir, { recursive: true })
+        fssync.appendFileSync(currentFile, pending.join(''), 'utf8')
+      } catch {}
+      pending = []
+    },
+
+    get directory() { return dir }
+  }
+}
@@ -0,0 +1,224 @@
+import { t } from './i18n.js'
+
+// Übersetzt die Ausgabe des onedrive Clients (abraunegg, v2.4 und v2.5) in typisierte Sync-Ereignisse.
+//
+// Ereignis: { type, path?, from?, to?, reason?, message?, direction?, total?, count }
+// type: cycle-start | cycle-end | plan | upload-started | upload-finished | download-started |
+//       download-finished | delete | rename | skip | conflict-backup | auth-failed | error
+// count: laufende Anzahl dieses Ereignistyps im aktuellen Sync-Durchlauf
+
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[ T][\d:.]+\s+/
+const PROGRESS_SUFFIX_RE = /\s*\.\.\.\s*(done\.?|failed!?|skipped\.?)?\s*$/i
+
+function cleanPath(p) {
+  return String(p || '').trim().replace(/^["']|["']$/g, '').replace(/^\.\//, '')
+}
+
+// Pfad und Abschluss-Suffix (" ... done.") trennen
+function splitProgress(rest) {
+  const m = PROGRESS_SUFFIX_RE.exec(rest)
+  if (!m) return { path: cleanPath(rest), result: null }
+  return { path: cleanPath(rest.slice(0, m.index)), result: (m[1] || '').replace(/[.!]$/, '').toLowerCase() || 'pending' }
+}
+
+// Fehlermeldungen des Clients: "ERROR: …", "CRITICAL: …", "WARNING: …" und die Details einer API-Antwort ("Error Reason: …")
+const DIAGNOSTIC_RE = /^(?:(?:ERROR|CRITICAL|WARNING)\s*:|Error (?:Message|Reason|Description)\s*:)\s*/i
+
+// Abgelaufenes oder widerrufenes Token (Passwortänderung, vom Admin beendete Sitzungen):
+// "Error Reason: AADSTS50173: The provided grant has expired …", "Error Message: invalid_grant",
+// "ERROR: Refresh token invalid, use --reauth …". Nur in Fehlermeldungen, nicht in Zeilen mit Dateinamen
+const AUTH_FAILURE_RE = new RegExp(`${DIAGNOSTIC_RE.source}.*?(?:\\b(AADSTS\\d{5,})\\b|\\binvalid_grant\\b|refresh[ _]token\\b.*\\b(?:expired|invalid|revoked)|authentication (?:token )?has expired|--reauth\\b)`, 'i')
+
+const RULES = [
+  {
+    re: /^(?:Starting a sync with (?:Microsoft )?OneDrive|Syncing changes from (?:Microsoft )?OneDrive|Performing a sync with (?:Microsoft )?OneDrive)/i,
+    parse: () => ({ type: 'cycle-start' })
+  },
+  {
+    re: /^Sync with (?:Microsoft )?OneDrive is complete/i,
+    parse: () => ({ type: 'cycle-end' })
+  },
+  {
+    re: /^(?:Number of items to|New items to) (download|upload)(?: from| to)? (?:Microsoft )?OneDrive:\s*(\d+)/i,
+    parse: (m) => ({ type: 'plan', direction: m[1].toLowerCase(), total: Number(m[2]) })
+  },
+  {
+    // "Uploading new file …", "Uploading modified file: …", "Uploading file differences of …"
+    re: /^Uploading (?:new |modified )?(?:file |item )?(?:differences of )?(?:file|item)?:?\s*(.+)$/i,
+    parse: (m) => {
+      const { path, result } = splitProgress(m[1])
+      if (result === 'failed') return { type: 'error', path, message: t('sync.uploadFailed', { path }) }
+      return { type: result === 'done' ? 'upload-finished' : 'upload-started', path }
+    }
+  },
+  {
+    re: /^Downloading (?:new |modified )?(?:file|item)?:?\s*(.+)$/i,
+    parse: (m) => {
+      const { path, result } = splitProgress(m[1])
+      if (result === 'failed') return { type: 'error', path, message: t('sync.downloadFailed', { path }) }
+      return { type: result === 'done' ? 'download-finished' : 'download-started', path }
+    }
+  },
+  {
+    re: /(?:renaming to preserve existing file and prevent local data loss|renaming local file to preserve|safeBackup).*?:\s*(.+?)\s*->\s*(.+)$/i,
+    parse: (m) => ({ type: 'conflict-backup', path: cleanPath(m[1]), from: cleanPath(m[1]), to: splitProgress(m[2]).path })
+  },
+  {
+    re: /^(?:Moving|Renaming) (?:item |local item |file )?(.+?) to (.+)$/i,
+    parse: (m) => ({ type: 'rename', from: cleanPath(m[1]), to: splitProgress(m[2]).path, path: splitProgress(m[2]).path })
+  },
+  {
+    re: /^(?:Trying to )?delet(?:e|ing) (?:local )?item(?: from (?:Microsoft )?OneDrive)?:?\s*(.+)$/i,
+    parse: (m, line) => ({ type: 'delete', path: splitProgress(m[1]).path, remote: /from (?:Microsoft )?OneDrive/i.test(line) })
+  },
+  {
+    re: /^Skipping\b(.*?):\s*(.+)$/i,
+    parse: (m) => ({ type: 'skip', path: cleanPath(m[2]), reason: m[1].replace(/^\s*(?:item\s*)?-?\s*/i, '').trim() })
+  },
+  {
+    // Vor ERROR: sonst würde ein Anmeldefehler als gewöhnlicher Fehler gemeldet
+    re: AUTH_FAILURE_RE,
+    parse: (m, line) => ({ type: 'auth-failed', code: m[1] || (/invalid_grant/i.test(line) ? 'invalid_grant' : null), message: line.replace(DIAGNOSTIC_RE, '').trim() })
+  },
+  {
+    re: /^(?:ERROR|CRITICAL)\s*:\s*(.+)$/i,
+    parse: (m) => ({ type: 'error', message: m[1].trim() })
+  }
+]
+
+// Eine einzelne Zeile ohne Zustand parsen (→ Ereignis ohne count oder null)
+export function parseOutputLine(line) {
+  const text = String(line || '').trim().replace(TIMESTAMP_RE, '')
+  if (!text) return null
+  for (const rule of RULES) {
+    const m = rule.re.exec(text)
+    if (m) return rule.parse(m, text)
+  }
+  return null
+}
+
+// Erste Meldung über ein ungültiges Token in der Ausgabe → auth-failed-Ereignis oder null
+export function findAuthFailure(lines) {
+  for (const line of lines) {
+    const event = parseOutputLine(line)
+    if (event?.type === 'auth-failed') return event
+  }
+  return null
+}
+
+// Zustandsbehafteter Parser: zählt Ereignisse pro Sync-Durchlauf.
+// Der Client meldet den Start eines Durchlaufs mehrfach ("Starting a sync …", danach "Syncing changes …");
+// nur die erste Startzeile nach "Sync … is complete" bzw. nach dem Anlegen beginnt einen neuen Durchlauf.
+export function createOutputParser() {
+  let counts = {}
+  let inCycle = false
+  return {
+    parseLine(line) {
+      const event = parseOutputLine(line)
+      if (!event) return null
+      if (event.type === 'cycle-start') {
+        if (inCycle) return null
+        inCycle = true
+        counts = {}
+      }
+      if (event.type === 'cycle-end') inCycle = false
+      counts[event.type] = (counts[event.type] || 0) + 1
+      return { ...event, count: counts[event.type] }
+    }
+  }
+}
+
+// Stream-Chunks in vollständige Zeilen zerlegen (Chunks enden nicht zwingend am Zeilenende)
+export function createLineSplitter(onLine) {
+  let buffer = ''
+  return {
+    push(chunk) {
+      buffer += chunk.toString()
+      const lines = buffer.split(/\r?\n/)
+      buffer = lines.pop()
+      for (const line of lines) onLine(line)
+    },
+    flush() {
+      if (buffer) onLine(buffer)
+      buffer = ''
+    }
+  }
+}
+
+// Fortschritt eines Profils aus den Ereignissen ableiten (für "12/40 Dateien werden hochgeladen")
+export function createProgressTracker() {
+  const empty = () => ({
+    active: false,
+    upload: { done: 0, total: 0 },
+    download: { done: 0, total: 0 },
+    deleted: 0,
+    skipped: 0,
+    conflicts: 0,
+    errors: 0,
+    currentFile: null,
+    currentAction: null
+  })
+  let state = empty()
+  let inCycle = false // Weitere Startzeilen im laufenden Durchlauf setzen nichts zurück
+
+  return {
+    apply(event) {
+      switch (event.type) {
+        case 'cycle-start':
+          if (!inCycle) state = { ...empty(), active: true }
+          inCycle = true
+          break
+        case 'cycle-end':
+          inCycle = false
+          state = { ...state, active: false, currentFile: null, currentAction: null }
+          break
+        case 'plan':
+          state[event.direction].total = Math.max(event.total, state[event.direction].done)
+          state.active = true
+          break
+        case 'upload-started':
+        case 'download-started': {
+          const direction = event.type === 'upload-started' ? 'upload' : 'download'
+          state.active = true
+          state.currentFile = event.path
+          state.currentAction = direction
+          // Ohne angekündigte Gesamtzahl wächst die Summe mit
+          if (state[direction].total <= state[direction].done) state[direction].total = state[direction].done + 1
+          break
+        }
+        case 'upload-finished':
+        case 'download-finished': {
+          const direction = event.type === 'upload-finished' ? 'upload' : 'download'
+          state.active = true
+          state[direction].done += 1
+          state[direction].total = Math.max(state[direction].total, state[direction].done)
+          state.currentFile = event.path
+          state.currentAction = direction
+          break
+        }
+        case 'delete':
+          state.deleted += 1
+          break
+        case 'skip':
+          state.skipped += 1
+          break
+        case 'conflict-backup':
+          state.conflicts += 1
+          break
+        case 'error':
+          state.errors += 1
+          break
+      }
+      return this.snapshot()
+    },
+    // Prozess beendet: Durchlauf abschließen, Zähler für die Zusammenfassung behalten
+    finish() {
+      inCycle = false
+      state = { ...state, active: false, currentFile: null, currentAction: null }
+      return this.snapshot()
+    },
+    snapshot() {
+      return structuredClone(state)
+    }
+  }
+}
@@ -0,0 +1,89 @@
+import { spawn } from 'child_process' // Process spawning
+import { parseOutputLine, createLineSplitter } from './sync-output.js'
+import { t } from './i18n.js'
+
+// Vorschau eines Sync-Durchlaufs: `onedrive --sync --dry-run` ausführen und die geplanten
+// Uploads, Downloads und Löschungen sammeln, ohne etwas zu verändern.
+
+// Geplante Änderungen aus Sync-Ereignissen sammeln
+export function createPlanCollector() {
+  const uploads = new Set()
+  const downloads = new Set()
+  const deletions = new Map() // path → remote (true = in OneDrive löschen)
+  const announced = { upload: 0, download: 0 }
+  let errors = 0
+
+  return {
+    apply(event) {
+      switch (event.type) {
+        case 'plan':
+          announced[event.direction] = Math.max(announced[event.direction], event.total)
+          break
+        case 'upload-started':
+        case 'upload-finished':
+          uploads.add(event.path)
+          break
+        case 'download-started':
+        case 'download-finished':
+          downloads.add(event.path)
+          break
+        case 'delete':
+          deletions.set(event.path, !!event.remote)
+          break
+        case 'error':
+          errors += 1
+          break
+      }
+    },
+    result() {
+      const deleteList = [...deletions].map(([path, remote]) => ({ path, remote }))
+      return {
+        uploads: [...uploads].sort(),
+        downloads: [...downloads].sort(),
+        deletions: deleteList.sort((a, b) => a.path.localeCompare(b.path)),
+        totals: {
+          upload: Math.max(uploads.size, announced.upload),
+          download: Math.max(downloads.size, announced.download),
+          deleteLocal: deleteList.filter((d) => !d.remote).length,
+          deleteRemote: deleteList.filter((d) => d.remote).length,
+          errors
+        }
+      }
+    }
+  }
+}
+
+// Dry-Run für ein Profil ausführen → Plan (siehe createPlanCollector)
+export function runDryRun(profile, { resync = false, timeoutMs = 30 * 60 * 1000, onLine } = {}) {
+  return new Promise((resolve, reject) => {
+    const args = ['--confdir', profile.confdir, '--sync', '--dry-run', '--verbose']
+    if (resync) args.push('--resync', '--resync-auth')
+    const collector = createPlanCollector()
+    const p = spawn('onedrive', args)
+    const lastLines = []
+    for (const stream of ['stdout', 'stderr']) {
+      const splitter = createLineSplitter((line) => {
+        const msg = line.trim()
+        if (!msg) return
+        onLine?.(msg)
+        lastLines.push(msg)
+        if (lastLines.length > 5) lastLines.shift()
+        const event = parseOutputLine(msg)
+        if (event) collector.apply(event)
+      })
+      p[stream]?.on('data', (d) => splitter.push(d))
+      p[stream]?.on('end', () => splitter.flush())
+    }
+    const timeout = setTimeout(() => {
+      try { p.kill() } catch {}
+      reject(new Error(t('preview.timeout')))
+    }, timeoutMs)
+    p.on('error', (err) => { clearTimeout(timeout); reject(err) })
+    // 'close' statt 'exit': erst dann sind alle Ausgabezeilen verarbeitet
+    p.on('close', (code) => {
+      clearTimeout(timeout)
+      if (code === 0) resolve(collector.result())
+      else reject(new Error(t(lastLines.length ? 'preview.failedCodeLine' : 'preview.failedCode', { code, line: lastLines[lastLines.length - 1] })))
+    })
+  })
+}
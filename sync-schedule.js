@@ -0,0 +1,190 @@
+import fs from 'fs/promises' // Promise-based FS API
+import path from 'path' // Path utilities
+import { EventEmitter } from 'events' // Change notifications
+import { runCommand } from './run-command.js'
+import { t } from './i18n.js'
+
+// Zeitplan für den Monitor: Ruhezeiten, getaktete Verbindungen (mobiler Hotspot) und niedriger Akkustand.
+// Der Scheduler prüft die Bedingungen regelmäßig und meldet die aktuellen Pausengründe
+// ('quiet-hours', 'metered', 'battery') sowie eine Bandbreitenbegrenzung für getaktete Verbindungen.
+
+export const METERED_ACTIONS = ['ignore', 'pause', 'limit']
+
+export const DEFAULT_SCHEDULE = {
+  quietHours: { enabled: false, start: '22:00', end: '06:00' },
+  metered: 'ignore', // 'pause' = nicht synchronisieren, 'limit' = rate_limit setzen
+  meteredRateLimit: 131072, // Bytes/s bei metered = 'limit' (Minimum des Clients)
+  batteryThreshold: 0 // Pausieren im Akkubetrieb unter diesem Ladestand in %, 0 = aus
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/
+
+function minutesOf(time) {
+  const m = TIME_RE.exec(time)
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null
+}
+
+// Liegt date in der Ruhezeit? Ende vor Beginn = über Mitternacht (z. B. 22:00–06:00)
+export function inQuietHours(quietHours, date = new Date()) {
+  if (!quietHours?.enabled) return false
+  const start = minutesOf(quietHours.start)
+  const end = minutesOf(quietHours.end)
+  if (start === null || end === null || start === end) return false
+  const now = date.getHours() * 60 + date.getMinutes()
+  return start < end ? now >= start && now < end : now >= start || now < end
+}
+
+// Gespeicherten Zeitplan mit Defaults ergänzen
+export function normalizeSchedule(schedule) {
+  return {
+    ...DEFAULT_SCHEDULE,
+    ...schedule,
+    quietHours: { ...DEFAULT_SCHEDULE.quietHours, ...schedule?.quietHours }
+  }
+}
+
+// Eingaben prüfen und normalisieren → { ok, errors, values }
+export function validateSchedule(input) {
+  const errors = {}
+  const values = normalizeSchedule(null)
+  const quiet = input?.quietHours || {}
+  if (typeof quiet.enabled !== 'boolean') errors.quietHours = t('validation.onOff')
+  else if (!TIME_RE.test(quiet.start) || !TIME_RE.test(quiet.end)) errors.quietHours = t('schedule.timeFormat')
+  else if (quiet.start === quiet.end) errors.quietHours = t('schedule.sameTimes')
+  else values.quietHours = { enabled: quiet.enabled, start: quiet.start, end: quiet.end }
+
+  if (!METERED_ACTIONS.includes(input?.metered)) errors.metered = t('validation.unknownAction')
+  else values.metered = input.metered
+
+  const rateLimit = Number(String(input?.meteredRateLimit ?? '').trim())
+  if (!Number.isInteger(rateLimit) || rateLimit < 131072) {
+    if (input?.metered === 'limit') errors.meteredRateLimit = t('validation.min', { min: 131072 })
+  } else {
+    values.meteredRateLimit = rateLimit
+  }
+
+  const threshold = Number(String(input?.batteryThreshold ?? '').trim())
+  if (!Number.isInteger(threshold) || threshold < 0 || threshold > 100) errors.batteryThreshold = t('schedule.batteryRange')
+  else values.batteryThreshold = threshold
+
+  return { ok: Object.keys(errors).length === 0, errors, values }
+}
+
+// NetworkManager: ist die aktuelle Verbindung getaktet? → true/false, null = unbekannt
+export async function readMetered() {
+  const result = await runCommand('gdbus', [
+    'call', '--system', '--dest', 'org.freedesktop.NetworkManager',
+    '--object-path', '/org/freedesktop/NetworkManager',
+    '--method', 'org.freedesktop.DBus.Properties.Get', 'org.freedesktop.NetworkManager', 'Metered'
+  ], { timeoutMs: 5000 })
+  const m = /uint32 (\d+)/.exec(result.stdout)
+  if (result.code !== 0 || !m) return null
+  // NMMetered: 1 = ja, 3 = vermutlich ja, 2/4 = nein, 0 = unbekannt
+  const value = Number(m[1])
+  if (value === 1 || value === 3) return true
+  if (value === 2 || value === 4) return false
+  return null
+}
+
+async function readSupplyFile(dir, name) {
+  try {
+    return (await fs.readFile(path.join(dir, name), 'utf8')).trim()
+  } catch {
+    return null
+  }
+}
+
+// Akkustand aus /sys/class/power_supply → { onBattery, percent } (ohne Akku: onBattery = false)
+export async function readBattery(root = '/sys/class/power_supply') {
+  let names = []
+  try { names = await fs.readdir(root) } catch {}
+  let acOnline = false
+  let discharging = false
+  const levels = []
+  for (const name of names) {
+    const dir = path.join(root, name)
+    const type = await readSupplyFile(dir, 'type')
+    if (type === 'Battery') {
+      // Akkus von Mäusen o. Ä. (scope = Device) nicht mitzählen
+      if (await readSupplyFile(dir, 'scope') === 'Device') continue
+      const capacity = Number(await readSupplyFile(dir, 'capacity'))
+      if (Number.isFinite(capacity)) levels.push(capacity)
+      if (await readSupplyFile(dir, 'status') === 'Discharging') discharging = true
+    } else if (type === 'Mains' || type === 'USB') {
+      if (await readSupplyFile(dir, 'online') === '1') acOnline = true
+    }
+  }
+  const percent = levels.length ? Math.round(levels.reduce((a, b) => a + b, 0) / levels.length) : null
+  return { onBattery: levels.length > 0 && !acOnline && discharging, percent }
+}
+
+// Pausengründe und Bandbreitenbegrenzung für einen Zeitplan und die gemessenen Bedingungen
+export function evaluateSchedule(schedule, { now = new Date(), metered = null, battery = null } = {}) {
+  const reasons = []
+  const detail = {}
+  if (inQuietHours(schedule.quietHours, now)) {
+    reasons.push('quiet-hours')
+    detail.quietUntil = schedule.quietHours.end
+  }
+  if (metered && schedule.metered === 'pause') reasons.push('metered')
+  if (schedule.batteryThreshold > 0 && battery?.onBattery && battery.percent !== null && battery.percent < schedule.batteryThreshold) {
+    reasons.push('battery')
+    detail.batteryPercent = battery.percent
+  }
+  const rateLimit = metered && schedule.metered === 'limit' ? schedule.meteredRateLimit : null
+  return { reasons, rateLimit, detail }
+}
+
+// Bedingungen regelmäßig prüfen und Änderungen melden.
+//   getSchedule – () => Zeitplan (aus den App-Einstellungen)
+//   'change'    – { reasons, rateLimit, detail, added, removed }
+export function createSyncScheduler({ getSchedule, intervalMs = 60 * 1000, probeMetered = readMetered, probeBattery = readBattery }) {
+  const emitter = new EventEmitter()
+  let current = { reasons: [], rateLimit: null, detail: {} }
+  let timer = null
+  let checking = null
+
+  const evaluate = async () => {
+    const schedule = normalizeSchedule(getSchedule())
+    // Nur abfragen, was eine Regel braucht
+    const metered = schedule.metered !== 'ignore' ? await probeMetered().catch(() => null) : null
+    const battery = schedule.batteryThreshold > 0 ? await probeBattery().catch(() => null) : null
+    const next = evaluateSchedule(schedule, { metered, battery })
+    const added = next.reasons.filter((r) => !current.reasons.includes(r))
+    const removed = current.reasons.filter((r) => !next.reasons.includes(r))
+    const changed = added.length > 0 || removed.length > 0 || next.rateLimit !== current.rateLimit ||
+      JSON.stringify(next.detail) !== JSON.stringify(current.detail)
+    current = next
+    if (changed) emitter.emit('change', { ...current, added, removed })
+    return current
+  }
+
+  const scheduler = {
+    get reasons() { return current.reasons },
+    get rateLimit() { return current.rateLimit },
+    get detail() { return current.detail },
+
+    // Sofort prüfen (z. B. nach Änderung der Einstellungen oder beim Wechsel auf Akku)
+    check() {
+      if (!checking) checking = evaluate().finally(() => { checking = null })
+      return checking
+    },
+
+    start() {
+      clearInterval(timer)
+      timer = setInterval(() => { scheduler.check().catch(() => {}) }, intervalMs)
+      return scheduler.check()
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    },
+
+    on(eventName, listener) {
+      emitter.on(eventName, listener)
+      return scheduler
+    }
+  }
+  return scheduler
+}
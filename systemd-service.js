@@ -0,0 +1,312 @@
+import fs from 'fs/promises' // Promise-based FS API
+import os from 'os' // OS utilities
+import path from 'path' // Path utilities
+import { spawn } from 'child_process' // Process spawning
+import { EventEmitter } from 'events' // State change notifications
+import { runCommand } from './run-command.js'
+import { t } from './i18n.js'
+
+// Monitor als `systemd --user` Dienst statt als Kindprozess der App.
+// Der Dienst läuft auch ohne geöffnete App (ab der Anmeldung); die App steuert ihn über systemctl
+// und liest seine Ausgabe aus dem Journal. Der Supervisor hat dieselbe Schnittstelle wie
+// createMonitorSupervisor (monitor-supervisor.js), damit Start/Stopp/Neustart gleich funktionieren.
+
+const UNIT_PREFIX = 'life-onedrive-sync-'
+const ACTIVE_STATES = ['starting', 'running', 'syncing', 'backing-off']
+const FAILED_STATES = ['failed-auth', 'crashed']
+
+export function serviceUnitName(profileId) {
+  return `${UNIT_PREFIX}${profileId}.service`
+}
+
+function unitDir() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config')
+  return path.join(configHome, 'systemd', 'user')
+}
+
+export function serviceUnitPath(profileId) {
+  return path.join(unitDir(), serviceUnitName(profileId))
+}
+
+async function systemctl(...args) {
+  const result = await runCommand('systemctl', ['--user', ...args])
+  if (result.code !== 0) throw new Error(`systemctl ${args.join(' ')}: ${result.error?.message || result.stderr.trim() || `Code ${result.code}`}`)
+  return result.stdout
+}
+
+// Gibt es einen Benutzer-Dienstmanager? (nicht z. B. in Containern ohne Session-Bus)
+export async function systemdUserAvailable() {
+  return (await runCommand('systemctl', ['--user', 'show-environment'], { timeoutMs: 5000 })).code === 0
+}
+
+// Absoluten Pfad eines Programms im PATH finden (ExecStart braucht ihn bei älteren systemd-Versionen)
+async function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue
+    const candidate = path.join(dir, name)
+    try {
+      await fs.access(candidate, fs.constants.X_OK)
+      return candidate
+    } catch {}
+  }
+  return null
+}
+
+// Pfade für ExecStart quoten (Leerzeichen im Konfigurationsordner); % leitet bei systemd Platzhalter ein
+function quoteArg(value) {
+  const escaped = value.replace(/%/g, '%%')
+  return /^[\w@%+=:,./-]+$/.test(escaped) ? escaped : `"${escaped.replace(/(["\\])/g, '\\$1')}"`
+}
+
+// Unit-Datei eines Profils. Bei Fehlern neu starten, aber nicht endlos (z. B. bei ungültigem Token).
+export function buildServiceUnit({ profile, executable }) {
+  return `# Angelegt von LiFE OneDrive Sync – Änderungen werden beim nächsten Start überschrieben
+[Unit]
+Description=OneDrive Monitor (LiFE OneDrive Sync, Profil ${profile.name.replace(/\s+/g, ' ').replace(/%/g, '%%')})
+After=network-online.target
+Wants=network-online.target
+StartLimitIntervalSec=600
+StartLimitBurst=5
+
+[Service]
+ExecStart=${quoteArg(executable)} --confdir ${quoteArg(profile.confdir)} --monitor
+Restart=on-failure
+RestartSec=30
+
+[Install]
+WantedBy=default.target
+`
+}
+
+// Unit-Datei schreiben (nur bei Änderungen) und systemd neu laden
+export async function installServiceUnit(profile) {
+  const executable = await findExecutable('onedrive')
+  if (!executable) throw new Error(t('monitor.notInPath'))
+  const file = serviceUnitPath(profile.id)
+  const content = buildServiceUnit({ profile, executable })
+  let current = null
+  try { current = await fs.readFile(file, 'utf8') } catch {}
+  if (current === content) return file
+  await fs.mkdir(path.dirname(file), { recursive: true })
+  await fs.writeFile(file, content, 'utf8')
+  await systemctl('daemon-reload')
+  return file
+}
+
+// Dienst stoppen, deaktivieren und die Unit-Datei entfernen
+export async function removeServiceUnit(profileId) {
+  const unit = serviceUnitName(profileId)
+  const file = serviceUnitPath(profileId)
+  try { await fs.access(file) } catch { return false }
+  await runCommand('systemctl', ['--user', 'disable', '--now', unit])
+  await fs.rm(file, { force: true })
+  await runCommand('systemctl', ['--user', 'daemon-reload'])
+  await runCommand('systemctl', ['--user', 'reset-failed', unit])
+  return true
+}
+
+// Alle von der App angelegten Units (z. B. beim Wechsel zurück zum App-Modus)
+export async function listServiceUnits() {
+  let names = []
+  try { names = await fs.readdir(unitDir()) } catch {}
+  return names.filter((n) => n.startsWith(UNIT_PREFIX) && n.endsWith('.service'))
+    .map((n) => n.slice(UNIT_PREFIX.length, -'.service'.length))
+}
+
+// Ausgabe von `systemctl show` → { ActiveState: 'active', … }
+function parseShow(text) {
+  const props = {}
+  for (const line of text.split('\n')) {
+    const index = line.indexOf('=')
+    if (index > 0) props[line.slice(0, index)] = line.slice(index + 1)
+  }
+  return props
+}
+
+// Supervisor für den Dienst eines Profils.
+//   install      – () => Promise, legt die Unit-Datei an (vor jedem Start)
+//   follow       – () => ChildProcess, das die Ausgabe des Dienstes liefert (journalctl -f)
+//   classifyExit – wie bei createMonitorSupervisor; null = systemd darf neu starten
+export function createServiceSupervisor({ profileId, install, follow, classifyExit = () => null, pollMs = 10000, stopTimeoutMs = 15000 }) {
+  const emitter = new EventEmitter()
+  const unit = serviceUnitName(profileId)
+  let state = 'stopped'
+  let detail = {}
+  let mainPid = null
+  let follower = null
+  let pollTimer = null
+  let busy = null // Promise während start()/stop()
+  let exclusive = false // Einmaliger Sync läuft, Dienstzustand nicht übernehmen
+  let disposed = false
+
+  const setState = (next, extra = {}) => {
+    if (state === next && JSON.stringify(detail) === JSON.stringify(extra)) return
+    state = next
+    detail = extra
+    emitter.emit('state', { state, ...detail, service: unit })
+  }
+
+  const startFollower = () => {
+    if (follower || disposed) return
+    try {
+      follower = follow()
+      follower.once('exit', () => { follower = null })
+      follower.once('error', () => { follower = null })
+    } catch (e) {
+      follower = null
+      console.warn(`Could not follow journal of ${unit}:`, e?.message)
+    }
+  }
+
+  const stopFollower = () => {
+    if (!follower) return
+    try { follower.kill() } catch {}
+    follower = null
+  }
+
+  // Zustand des Dienstes abfragen und auf die Supervisor-Zustände abbilden
+  const refresh = async () => {
+    if (disposed || exclusive || busy) return
+    const result = await runCommand('systemctl', ['--user', 'show', unit, '--property=ActiveState,SubState,MainPID,ExecMainStatus,NRestarts'])
+    if (disposed || exclusive || busy || result.code !== 0) return
+    const props = parseShow(result.stdout)
+    mainPid = Number(props.MainPID) || null
+    const code = Number(props.ExecMainStatus) || 0
+    const restarts = Number(props.NRestarts) || 0
+    switch (props.ActiveState) {
+      case 'active':
+        startFollower()
+        if (state !== 'syncing') setState('running')
+        break
+      case 'activating':
+      case 'reloading': {
+        startFollower()
+        if (props.SubState === 'auto-restart') {
+          const fatal = classifyExit({ code, signal: null })
+          if (fatal) {
+            await runCommand('systemctl', ['--user', 'stop', unit])
+            stopFollower()
+            setState(fatal.state || 'crashed', { reason: fatal.reason, code })
+          } else {
+            setState('backing-off', { retryInMs: 30000, attempt: restarts, code })
+          }
+        } else {
+          setState('starting', restarts ? { attempt: restarts } : {})
+        }
+        break
+      }
+      case 'failed': {
+        stopFollower()
+        const fatal = classifyExit({ code, signal: null })
+        setState(fatal?.state || 'crashed', { reason: fatal?.reason || (restarts ? 'too-many-restarts' : undefined), code })
+        break
+      }
+      default:
+        stopFollower()
+        if (ACTIVE_STATES.includes(state)) setState('stopped')
+    }
+  }
+
+  const schedule = () => {
+    clearTimeout(pollTimer)
+    if (disposed) return
+    pollTimer = setTimeout(async () => {
+      await refresh().catch(() => {})
+      schedule()
+    }, pollMs)
+  }
+
+  const supervisor = {
+    external: true, // Läuft unabhängig von der App weiter
+    get state() { return state },
+    get detail() { return detail },
+    get pid() { return mainPid },
+
+    isActive() {
+      return ACTIVE_STATES.includes(state)
+    },
+
+    // Aktuellen Zustand übernehmen (z. B. nach dem App-Start, wenn der Dienst schon läuft)
+    refresh,
+
+    start() {
+      if (busy || disposed) return
+      setState('starting')
+      busy = (async () => {
+        try {
+          await install()
+          await systemctl('reset-failed', unit).catch(() => {})
+          await systemctl('enable', '--now', unit)
+        } catch (e) {
+          setState('crashed', { reason: e?.message })
+        } finally {
+          busy = null
+        }
+        await refresh()
+      })()
+    },
+
+    // Dienst stoppen. Vorübergehend (Pause, Ruhezeit, einmaliger Sync) bleibt er aktiviert und startet nach einem
+    // Neustart wieder; disable: true (Abmelden, App-Modus) deaktiviert ihn auch. Lief er? → true/false
+    async stop({ disable = false } = {}) {
+      if (busy) await busy
+      await refresh()
+      const wasActive = supervisor.isActive()
+      busy = (async () => {
+        await runCommand('systemctl', ['--user', ...(disable ? ['disable', '--now'] : ['stop']), unit], { timeoutMs: stopTimeoutMs })
+        stopFollower()
+        mainPid = null
+        if (wasActive) setState('stopped') // failed-auth/crashed bleiben sichtbar
+      })()
+      try { await busy } finally { busy = null }
+      return wasActive
+    },
+
+    // failed-auth/crashed von vorher gilt nach der Aufgabe wieder
+    async runExclusive(task) {
+      const wasActive = await supervisor.stop()
+      const failed = FAILED_STATES.includes(state) ? { state, detail } : null
+      exclusive = true
+      setState('syncing', { oneShot: true })
+      try {
+        return await task(wasActive)
+      } finally {
+        exclusive = false
+        if (state === 'syncing') {
+          if (failed) setState(failed.state, failed.detail)
+          else setState('stopped')
+        }
+      }
+    },
+
+    handleEvent(event) {
+      if (exclusive) return
+      if (event.type === 'cycle-start' && state === 'running') setState('syncing')
+      else if (event.type === 'cycle-end' && state === 'syncing') setState('running')
+    },
+
+    markFailed(nextState, reason) {
+      if (supervisor.isActive()) return
+      setState(nextState, { reason })
+    },
+
+    // Nur die Beobachtung beenden, der Dienst läuft weiter (z. B. beim Beenden der App)
+    dispose() {
+      disposed = true
+      clearTimeout(pollTimer)
+      stopFollower()
+    },
+
+    on(eventName, listener) {
+      emitter.on(eventName, listener)
+      return supervisor
+    }
+  }
+  schedule()
+  return supervisor
+}
+
+// Ausgabe des Dienstes ab jetzt verfolgen (nur die Meldungen des Clients, ohne Journal-Präfix)
+export function followServiceOutput(profileId) {
+  return spawn('journalctl', ['--user', '--unit', serviceUnitName(profileId), '--follow', '--lines=0', '--output=cat'])
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { authRedirectTarget, createLoopbackListener, parseBrowserResponse } from '../browser-auth.js'
+
+const NATIVE = 'https://login.microsoftonline.com/common/oauth2/nativeclient'
+const AUTH_URL = `https://login.microsoftonline.com/common/oauth2/v2.0/authorize?client_id=d50ca740&scope=Files.ReadWrite&response_type=code&redirect_uri=${encodeURIComponent(NATIVE)}&state=abc`
+
+test('authRedirectTarget liest redirect_uri und state der Authorize-URL', () => {
+  assert.deepEqual(authRedirectTarget(AUTH_URL), { redirectUri: NATIVE, state: 'abc' })
+  assert.equal(authRedirectTarget('https://login.microsoftonline.com/common/oauth2/v2.0/authorize?client_id=x'), null)
+  assert.equal(authRedirectTarget('kein url'), null)
+})
+
+test('parseBrowserResponse nimmt nur die Weiterleitung dieser Anmeldung an', () => {
+  const target = { redirectUri: NATIVE, state: 'abc' }
+  assert.deepEqual(parseBrowserResponse(`  ${NATIVE}?code=M.C123&state=abc `, target), { ok: true, url: `${NATIVE}?code=M.C123&state=abc` })
+  assert.equal(parseBrowserResponse(`${NATIVE}?error=access_denied&state=abc`, target).ok, true)
+  assert.equal(parseBrowserResponse('code=M.C123', target).key, 'auth.response.invalid')
+  assert.equal(parseBrowserResponse('http://127.0.0.1:8080/?code=M.C123&state=abc', target).key, 'auth.response.wrongPage')
+  assert.equal(parseBrowserResponse(`${NATIVE}?state=abc`, target).key, 'auth.response.noCode')
+  assert.equal(parseBrowserResponse(`${NATIVE}?code=M.C123&state=old`, target).key, 'auth.response.stateMismatch')
+  assert.equal(parseBrowserResponse(`${NATIVE}?code=M.C123`, { redirectUri: NATIVE }).ok, true)
+})
+
+test('createLoopbackListener nimmt genau eine Weiterleitung an und schließt sich', async () => {
+  const listener = createLoopbackListener()
+  const redirectUri = await listener.listen()
+  assert.match(redirectUri, /^http:\/\/localhost:\d+$/)
+  listener.expectState('abc')
+  const port = new URL(redirectUri).port
+  assert.equal((await fetch(`http://127.0.0.1:${port}/?code=M.C123&state=old`)).status, 404)
+  assert.equal((await fetch(`http://127.0.0.1:${port}/?code=M.C123&state=abc`)).status, 200)
+  assert.equal(await listener.wait(), `${redirectUri}/?code=M.C123&state=abc`)
+  await assert.rejects(fetch(`http://127.0.0.1:${port}/?code=M.C123&state=abc`))
+})
+
+test('createLoopbackListener endet nach dem Timeout', async () => {
+  const listener = createLoopbackListener({ timeoutMs: 10 })
+  await listener.listen()
+  await assert.rejects(listener.wait())
+})
@@ -0,0 +1,24 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { originalPathFor } from '../conflicts.js'
+
+async function tempDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conflicts-'))
+  for (const file of files) await fs.writeFile(path.join(dir, file), '')
+  return dir
+}
+
+test('originalPathFor findet die Originaldatei auch bei Hostnamen mit Bindestrich', async () => {
+  const dir = await tempDir(['Bericht.docx', 'Bericht-pc-01-safeBackup-0001.docx'])
+  assert.equal(await originalPathFor(path.join(dir, 'Bericht-pc-01-safeBackup-0001.docx'), { hostname: 'andere' }), path.join(dir, 'Bericht.docx'))
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('originalPathFor gibt null zurück, wenn keine Originaldatei existiert', async () => {
+  const dir = await tempDir(['Bericht-pc01-safeBackup-0001.docx'])
+  assert.equal(await originalPathFor(path.join(dir, 'Bericht-pc01-safeBackup-0001.docx'), { hostname: 'pc01' }), null)
+  await fs.rm(dir, { recursive: true, force: true })
+})
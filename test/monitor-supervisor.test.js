@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'events'
+import { createMonitorSupervisor } from '../monitor-supervisor.js'
+
+// Prozess-Attrappe, die sich direkt nach dem Start mit Code 1 beendet
+function crashingProcess() {
+  const proc = new EventEmitter()
+  proc.kill = () => {}
+  setImmediate(() => {
+    proc.emit('spawn')
+    proc.emit('exit', 1, null)
+  })
+  return proc
+}
+
+function collectStates(options) {
+  const states = []
+  const supervisor = createMonitorSupervisor({ spawnMonitor: crashingProcess, initialBackoffMs: 1, maxBackoffMs: 1, ...options })
+  supervisor.on('state', (info) => states.push(info.state))
+  return { supervisor, states }
+}
+
+test('Neustart nach Absturz meldet nur backing-off, crashed erst nach zu vielen Versuchen', async () => {
+  const { supervisor, states } = collectStates({ maxRetries: 2 })
+  supervisor.start()
+  await new Promise((resolve) => supervisor.on('state', (info) => info.state === 'crashed' && resolve()))
+  assert.deepEqual(states, ['starting', 'running', 'backing-off', 'starting', 'running', 'backing-off', 'starting', 'running', 'crashed'])
+  assert.equal(supervisor.detail.reason, 'too-many-restarts')
+})
+
+test('nicht behebbarer Fehler endet ohne Neustart', async () => {
+  const { supervisor, states } = collectStates({ classifyExit: () => ({ state: 'failed-auth', reason: 'invalid-token' }) })
+  supervisor.start()
+  await new Promise((resolve) => supervisor.on('state', (info) => info.state === 'failed-auth' && resolve()))
+  assert.deepEqual(states, ['starting', 'running', 'failed-auth'])
+})
+
+test('einmalige Aufgabe nach failed-auth lässt den Fehlerzustand stehen', async () => {
+  const { supervisor, states } = collectStates({ classifyExit: () => ({ state: 'failed-auth', reason: 'invalid-token' }) })
+  supervisor.start()
+  await new Promise((resolve) => supervisor.on('state', (info) => info.state === 'failed-auth' && resolve()))
+  const result = await supervisor.runExclusive(async (wasActive) => wasActive)
+  assert.equal(result, false)
+  assert.deepEqual(states.slice(-2), ['syncing', 'failed-auth'])
+  assert.equal(supervisor.detail.reason, 'invalid-token')
+})
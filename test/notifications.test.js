@@ -0,0 +1,43 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createNotifier, repeatKey } from '../notifications.js'
+
+function notifierAt(clock) {
+  const shown = []
+  const notifier = createNotifier({ show: (n) => shown.push(n.body), isEnabled: () => true, now: () => clock.now })
+  return { notifier, shown }
+}
+
+test('Zusammenfassungen mit unterschiedlichen Zahlen erscheinen beide', () => {
+  const clock = { now: 0 }
+  const { notifier, shown } = notifierAt(clock)
+  notifier.notify({ category: 'cycle-summary', profileId: 'p', body: '12 hochgeladen' })
+  clock.now += 60 * 1000
+  notifier.notify({ category: 'cycle-summary', profileId: 'p', body: '3 hochgeladen' })
+  assert.deepEqual(shown, ['12 hochgeladen', '3 hochgeladen'])
+})
+
+test('Konflikte verschiedener nummerierter Dateien erscheinen beide', () => {
+  const clock = { now: 0 }
+  const { notifier, shown } = notifierAt(clock)
+  notifier.notify({ category: 'conflict', profileId: 'p', body: 'Bericht 1.docx' })
+  notifier.notify({ category: 'conflict', profileId: 'p', body: 'Bericht 2.docx' })
+  assert.equal(shown.length, 2)
+})
+
+test('gleicher Sync-Fehler wird innerhalb von repeatMs nur einmal gemeldet', () => {
+  const clock = { now: 0 }
+  const { notifier, shown } = notifierAt(clock)
+  notifier.notify({ category: 'sync-failed', profileId: 'p', body: '2025-03-04 10:15:03 HTTP 503: Dienst nicht verfügbar' })
+  clock.now += 10 * 60 * 1000
+  notifier.notify({ category: 'sync-failed', profileId: 'p', body: '2025-03-04 10:25:03 HTTP 504: Dienst nicht verfügbar' })
+  assert.equal(shown.length, 1)
+  clock.now += 10 * 60 * 1000
+  notifier.notify({ category: 'sync-failed', profileId: 'p', body: 'Upload fehlgeschlagen: Bericht 2.docx' })
+  assert.equal(shown.length, 2)
+})
+
+test('repeatKey ignoriert nur Zeitstempel und Fehlercodes', () => {
+  assert.equal(repeatKey('sync-failed', 'p', '10:15:03 Code 1'), repeatKey('sync-failed', 'p', '11:00:00 Code 2'))
+  assert.notEqual(repeatKey('sync-failed', 'p', 'Datei 1.txt'), repeatKey('sync-failed', 'p', 'Datei 2.txt'))
+})
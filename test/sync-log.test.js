@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { createSyncLog } from '../sync-log.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+async function logDir(lines) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-log-'))
+  if (lines) await fs.writeFile(path.join(dir, 'sync.log'), lines.map((e) => JSON.stringify(e) + '\n').join(''))
+  return dir
+}
+
+const rotated = async (dir) => (await fs.readdir(dir)).filter((n) => /^sync-\d+\.log$/.test(n))
+
+test('sync.log mit abgelaufenem ersten Eintrag wird rotiert', async () => {
+  const dir = await logDir([{ id: 'a', ts: Date.now() - 20 * DAY, level: 'info', source: 'app', message: 'alt' }])
+  const log = createSyncLog({ dir, maxAgeDays: 14 })
+  log.write({ status: 'info', message: 'neu' })
+  await log.flush()
+  assert.equal((await rotated(dir)).length, 1)
+  const current = await fs.readFile(path.join(dir, 'sync.log'), 'utf8')
+  assert.deepEqual(current.trim().split('\n').map((line) => JSON.parse(line).message), ['neu'])
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('sync.log innerhalb der Aufbewahrungsdauer bleibt bestehen', async () => {
+  const dir = await logDir([{ id: 'a', ts: Date.now() - 2 * DAY, level: 'info', source: 'app', message: 'jung' }])
+  const log = createSyncLog({ dir, maxAgeDays: 14 })
+  log.write({ status: 'info', message: 'neu' })
+  await log.flush()
+  assert.equal((await rotated(dir)).length, 0)
+  const { entries } = await log.query()
+  assert.deepEqual(entries.map((e) => e.message), ['neu', 'jung'])
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('Abfragen enthalten auch Einträge, die nach dem ersten Lesen geschrieben werden', async () => {
+  const dir = await logDir([{ id: 'a', ts: Date.now() - DAY, level: 'info', source: 'app', message: 'alt' }])
+  const log = createSyncLog({ dir, flushDelayMs: 1 })
+  log.write({ status: 'info', message: 'vorher' })
+  const first = log.query()
+  log.write({ status: 'error', message: 'währenddessen' })
+  assert.deepEqual((await first).entries.map((e) => e.message), ['währenddessen', 'vorher', 'alt'])
+  log.write({ status: 'info', message: 'danach' })
+  await log.flush()
+  const { entries, total } = await log.query({ limit: 2 })
+  assert.deepEqual(entries.map((e) => e.message), ['danach', 'währenddessen'])
+  assert.equal(total, 4)
+  assert.equal((await log.exportText({ level: 'error' })).count, 1)
+  // Ein neu geöffnetes Protokoll liest dieselben Einträge aus den Dateien
+  assert.equal((await createSyncLog({ dir }).query()).total, 4)
+  await fs.rm(dir, { recursive: true, force: true })
+})
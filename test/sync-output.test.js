@@ -0,0 +1,134 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import { parseOutputLine, createOutputParser, createLineSplitter, createProgressTracker, findAuthFailure } from '../sync-output.js'
+
+// Mitgeschnittene Ausgabe des Clients (test/fixtures)
+function fixture(name) {
+  return fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8').split('\n').filter(Boolean)
+}
+
+function parseAll(lines) {
+  const parser = createOutputParser()
+  return lines.map((line) => parser.parseLine(line)).filter(Boolean)
+}
+
+test('parseOutputLine: Uploads in allen Schreibweisen', () => {
+  assert.deepEqual(parseOutputLine('Uploading new file ./a/b.txt ... done.'), { type: 'upload-finished', path: 'a/b.txt' })
+  assert.deepEqual(parseOutputLine('Uploading modified file: a/b.txt ... done'), { type: 'upload-finished', path: 'a/b.txt' })
+  assert.deepEqual(parseOutputLine('Uploading file differences of ./doc.docx'), { type: 'upload-started', path: 'doc.docx' })
+  assert.deepEqual(parseOutputLine('Uploading differences of ./doc.docx ... done.'), { type: 'upload-finished', path: 'doc.docx' })
+  assert.equal(parseOutputLine('Uploading new file ./big.iso ... failed!').type, 'error')
+})
+
+test('parseOutputLine: Downloads, Löschungen, Umbenennungen und Konflikte', () => {
+  assert.deepEqual(parseOutputLine('2025-03-04 10:15:03.120 Downloading file: Schule/Plan.pdf ... done'), { type: 'download-finished', path: 'Schule/Plan.pdf' })
+  assert.deepEqual(parseOutputLine('Deleting item from OneDrive: ./old.txt'), { type: 'delete', path: 'old.txt', remote: true })
+  assert.deepEqual(parseOutputLine('Deleting local item: old.txt'), { type: 'delete', path: 'old.txt', remote: false })
+  assert.deepEqual(parseOutputLine('Moving ./a.txt to ./b.txt'), { type: 'rename', from: 'a.txt', to: 'b.txt', path: 'b.txt' })
+  assert.deepEqual(
+    parseOutputLine('The local item is out-of-sync with OneDrive, renaming to preserve existing file and prevent local data loss: ./r.docx -> ./r-pc-safeBackup-0001.docx'),
+    { type: 'conflict-backup', path: 'r.docx', from: 'r.docx', to: 'r-pc-safeBackup-0001.docx' }
+  )
+  assert.deepEqual(parseOutputLine('Number of items to download from OneDrive: 12'), { type: 'plan', direction: 'download', total: 12 })
+  assert.equal(parseOutputLine('Creating local directory: ./x'), null)
+  assert.equal(parseOutputLine(''), null)
+})
+
+test('parseOutputLine: Anmeldefehler nur in Fehlermeldungen des Clients', () => {
+  assert.deepEqual(
+    parseOutputLine('  Error Reason:        AADSTS50173: The provided grant has expired due to it being revoked'),
+    { type: 'auth-failed', code: 'AADSTS50173', message: 'AADSTS50173: The provided grant has expired due to it being revoked' }
+  )
+  assert.equal(parseOutputLine('Error Message: invalid_grant').code, 'invalid_grant')
+  assert.equal(parseOutputLine('ERROR: Refresh token invalid, use --reauth to authorize the client again.').type, 'auth-failed')
+  assert.deepEqual(parseOutputLine('Uploading new file ./AADSTS50173 invalid_grant.txt ... done.'), { type: 'upload-finished', path: 'AADSTS50173 invalid_grant.txt' })
+  assert.equal(parseOutputLine('Creating local directory: ./refresh token expired'), null)
+  assert.deepEqual(parseOutputLine('ERROR: Upload failed'), { type: 'error', message: 'Upload failed' })
+})
+
+test('findAuthFailure übergeht Dateizeilen', () => {
+  assert.equal(findAuthFailure(['Downloading file: invalid_grant.pdf ... done', 'Sync with OneDrive is complete']), null)
+  assert.equal(findAuthFailure(['Uploading new file ./a.txt', 'ERROR: The refresh token has expired']).type, 'auth-failed')
+})
+
+test('createOutputParser zählt pro Durchlauf (v2.4)', () => {
+  const events = parseAll(fixture('onedrive-v2.4.log'))
+  const last = (type) => events.filter((e) => e.type === type).at(-1)?.count
+  assert.equal(last('download-finished'), 2)
+  assert.equal(last('upload-finished'), 3)
+  assert.equal(last('delete'), 2)
+  assert.equal(last('rename'), 1)
+  assert.equal(last('conflict-backup'), 1)
+  assert.equal(last('skip'), 1)
+  assert.equal(last('error'), 2)
+  assert.equal(events.at(-1).type, 'cycle-end')
+})
+
+test('createOutputParser setzt die Zähler bei einem neuen Durchlauf zurück (v2.5)', () => {
+  const lines = fixture('onedrive-v2.5.log')
+  const events = parseAll([...lines, ...lines])
+  const downloads = events.filter((e) => e.type === 'download-finished').map((e) => e.count)
+  assert.deepEqual(downloads, [1, 2, 1, 2])
+})
+
+test('weitere Startzeilen im laufenden Durchlauf behalten Summen und Fortschritt (v2.5)', () => {
+  const events = parseAll(fixture('onedrive-v2.5-restart-lines.log'))
+  assert.deepEqual(events.filter((e) => e.type === 'cycle-start').length, 2)
+  assert.deepEqual(events.filter((e) => e.type === 'download-finished').map((e) => e.count), [1, 2])
+  const tracker = createProgressTracker()
+  const snapshots = events.map((e) => tracker.apply(e))
+  const beforeEnd = snapshots.at(-4) // Letzter Upload läuft noch
+  assert.equal(beforeEnd.active, true)
+  assert.deepEqual(beforeEnd.download, { done: 2, total: 2 })
+  assert.deepEqual(beforeEnd.upload, { done: 1, total: 3 })
+  assert.equal(beforeEnd.currentFile, 'Projekte/Liste.odt')
+  // Nächster Durchlauf beginnt wieder bei null
+  assert.deepEqual(snapshots.at(-2).upload, { done: 0, total: 0 })
+})
+
+test('createProgressTracker ignoriert eine zweite Startzeile ohne Parser', () => {
+  const tracker = createProgressTracker()
+  tracker.apply({ type: 'cycle-start' })
+  tracker.apply({ type: 'plan', direction: 'upload', total: 4 })
+  assert.deepEqual(tracker.apply({ type: 'cycle-start' }).upload, { done: 0, total: 4 })
+  tracker.apply({ type: 'cycle-end' })
+  assert.deepEqual(tracker.apply({ type: 'cycle-start' }).upload, { done: 0, total: 0 })
+})
+
+test('createProgressTracker: Fortschritt und Zusammenfassung (v2.5)', () => {
+  const tracker = createProgressTracker()
+  const snapshots = parseAll(fixture('onedrive-v2.5.log')).map((e) => tracker.apply(e))
+  const during = snapshots[2] // Nach dem ersten Download (die zweite Startzeile ergibt kein Ereignis)
+  assert.equal(during.active, true)
+  assert.deepEqual(during.download, { done: 1, total: 3 })
+  assert.equal(during.currentAction, 'download')
+  assert.equal(during.currentFile, 'Schule/Stundenplan.pdf')
+  const end = snapshots.at(-1)
+  assert.equal(end.active, false)
+  assert.equal(end.currentFile, null)
+  assert.deepEqual(end.download, { done: 2, total: 3 })
+  assert.deepEqual(end.upload, { done: 2, total: 2 })
+  assert.equal(end.deleted, 1)
+  assert.equal(end.skipped, 1)
+  assert.equal(end.errors, 1)
+})
+
+test('createProgressTracker: Summe wächst ohne angekündigte Gesamtzahl', () => {
+  const tracker = createProgressTracker()
+  tracker.apply({ type: 'cycle-start' })
+  assert.deepEqual(tracker.apply({ type: 'upload-started', path: 'a' }).upload, { done: 0, total: 1 })
+  assert.deepEqual(tracker.apply({ type: 'upload-finished', path: 'a' }).upload, { done: 1, total: 1 })
+  assert.deepEqual(tracker.apply({ type: 'upload-started', path: 'b' }).upload, { done: 1, total: 2 })
+  assert.equal(tracker.finish().active, false)
+})
+
+test('createLineSplitter setzt Zeilen über Chunk-Grenzen zusammen', () => {
+  const lines = []
+  const splitter = createLineSplitter((line) => lines.push(line))
+  splitter.push('Uploading new fi')
+  splitter.push('le ./a ... done.\r\nSync with')
+  splitter.push(' OneDrive is complete')
+  splitter.flush()
+  assert.deepEqual(lines, ['Uploading new file ./a ... done.', 'Sync with OneDrive is complete'])
+})
@@ -0,0 +1,51 @@
+import { nativeImage } from 'electron' // Image helpers
+
+// Tray-Icons pro Zustand: das normale Icon mit einem farbigen Punkt unten rechts.
+// Wird zur Laufzeit aus trayicon.png erzeugt, damit keine zusätzlichen Bilddateien nötig sind.
+
+const BADGE_COLORS = {
+  idle: null, // Unverändertes Icon
+  syncing: [13, 110, 253], // Blau
+  paused: [108, 117, 125], // Grau
+  error: [220, 53, 69], // Rot
+  'signed-out': [255, 193, 7] // Gelb
+}
+
+function withBadge(base, [r, g, b]) {
+  const { width, height } = base.getSize()
+  const bitmap = Buffer.from(base.toBitmap()) // BGRA
+  const radius = Math.max(2, Math.round(Math.min(width, height) * 0.22))
+  const cx = width - radius - 1
+  const cy = height - radius - 1
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = Math.hypot(x - cx, y - cy)
+      if (d > radius + 1) continue
+      const i = (y * width + x) * 4
+      const ring = d > radius // Weißer Rand für Kontrast auf dunklen Leisten
+      bitmap[i] = ring ? 255 : b
+      bitmap[i + 1] = ring ? 255 : g
+      bitmap[i + 2] = ring ? 255 : r
+      bitmap[i + 3] = 255
+    }
+  }
+  return nativeImage.createFromBitmap(bitmap, { width, height })
+}
+
+export function createTrayIcons(basePath) {
+  const base = nativeImage.createFromPath(basePath)
+  const cache = new Map()
+  return {
+    get(state) {
+      if (!cache.has(state)) {
+        const color = BADGE_COLORS[state]
+        let icon = base
+        if (color && !base.isEmpty()) {
+          try { icon = withBadge(base, color) } catch (e) { console.warn('Could not draw tray badge:', e?.message) }
+        }
+        cache.set(state, icon)
+      }
+      return cache.get(state)
+    }
+  }
+}